@@ -0,0 +1,320 @@
+/*
+ * Converts Readability article HTML into Markdown or wrapped plain text.
+ *
+ * Like readability.js this is injected into the page and run there, so the
+ * article HTML can be walked with the browser's own DOM. Needs html-fragment.js.
+ */
+
+/**
+ * Public constructor.
+ * @param {Object} options The options object.
+ *   - format: "markdown" or "text"
+ *   - width:  wrap plain text at this many columns (0 disables wrapping)
+ */
+function ArticleFormatter(options) {
+  options = options || {};
+  this._markdown = options.format !== "text";
+  this._width = options.width || 0;
+}
+
+ArticleFormatter.prototype = {
+  BLOCK_TAGS: [
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT",
+    "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3", "H4",
+    "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION",
+    "SUMMARY", "TABLE", "UL"
+  ],
+
+  SKIP_TAGS: ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG", "IFRAME", "OBJECT", "EMBED", "BUTTON"],
+
+  /**
+   * Convert an HTML fragment.
+   *
+   * @param String html The article content returned by Readability.
+   * @return String
+   */
+  format: function(html) {
+    var container = parseHtmlFragment(html);
+    return this._blocks(container, this._width).join("\n\n").trim() + "\n";
+  },
+
+  /**
+   * Convert the children of a node into a list of block strings, collecting
+   * runs of inline content into paragraphs.
+   *
+   * @param Element node
+   * @param Number width The wrap width available at this nesting level.
+   * @return Array
+   */
+  _blocks: function(node, width) {
+    var blocks = [];
+    var inline = "";
+
+    var flush = () => {
+      var text = inline.split("\n").map(line => line.trim()).join("\n").trim();
+      if (text) {
+        blocks.push(this._markdown ? text.replace(/\n/g, "\\\n") : this._wrap(text, width));
+      }
+      inline = "";
+    };
+
+    for (var child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        inline += this._text(child.textContent);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        var tag = child.tagName.toUpperCase();
+        if (this.SKIP_TAGS.includes(tag)) {
+          continue;
+        }
+        if (this.BLOCK_TAGS.includes(tag)) {
+          flush();
+          var block = this._block(child, width);
+          if (block) {
+            blocks.push(block);
+          }
+        } else {
+          inline += this._inline(child);
+        }
+      }
+    }
+    flush();
+
+    return blocks;
+  },
+
+  /**
+   * Convert a single block-level element.
+   *
+   * @param Element el
+   * @param Number width
+   * @return String
+   */
+  _block: function(el, width) {
+    var tag = el.tagName.toUpperCase();
+    var heading = tag.match(/^H([1-6])$/);
+
+    if (heading) {
+      var text = this._inlineChildren(el).replace(/\s*\n\s*/g, " ").trim();
+      if (!text) {
+        return "";
+      }
+      return this._markdown ? "#".repeat(heading[1]) + " " + text : this._wrap(text, width);
+    }
+
+    switch (tag) {
+      case "UL":
+      case "OL":
+        return this._list(el, width);
+      case "BLOCKQUOTE":
+        return this._prefixLines(this._blocks(el, width - 2).join("\n\n"), this._markdown ? "> " : "  ", this._markdown ? ">" : "");
+      case "PRE":
+        return this._pre(el);
+      case "TABLE":
+        return this._table(el);
+      case "HR":
+        return this._markdown ? "---" : "-".repeat(Math.min(width || 40, 40));
+      case "FIGCAPTION":
+        var caption = this._inlineChildren(el).trim();
+        return caption && this._markdown ? "_" + caption + "_" : this._wrap(caption, width);
+      default:
+        return this._blocks(el, width).join("\n\n");
+    }
+  },
+
+  /**
+   * Convert an inline element (and everything inside it) to a string.
+   *
+   * @param Element el
+   * @return String
+   */
+  _inline: function(el) {
+    var tag = el.tagName.toUpperCase();
+    if (this.SKIP_TAGS.includes(tag)) {
+      return "";
+    }
+
+    switch (tag) {
+      case "BR":
+        return "\n";
+      case "IMG":
+        var alt = (el.getAttribute("alt") || "").trim();
+        var src = el.getAttribute("src");
+        if (!this._markdown) {
+          return alt ? "[Image: " + alt + "]" : "";
+        }
+        return src ? "![" + this._escape(alt) + "](" + this._url(src) + ")" : "";
+      case "CODE":
+      case "KBD":
+      case "SAMP":
+        var code = el.textContent.replace(/\s+/g, " ");
+        if (!this._markdown || !code.trim()) {
+          return code;
+        }
+        var fence = code.includes("`") ? "``" : "`";
+        return fence + code + fence;
+    }
+
+    var content = this._inlineChildren(el);
+    if (!this._markdown || !content.trim()) {
+      return content;
+    }
+
+    switch (tag) {
+      case "A":
+        var href = el.getAttribute("href");
+        if (!href || /^\s*javascript:/i.test(href) || href.startsWith("#")) {
+          return content;
+        }
+        return this._wrapMarker(content, "[", "](" + this._url(href) + ")");
+      case "STRONG":
+      case "B":
+        return this._wrapMarker(content, "**", "**");
+      case "EM":
+      case "I":
+        return this._wrapMarker(content, "_", "_");
+      case "DEL":
+      case "S":
+      case "STRIKE":
+        return this._wrapMarker(content, "~~", "~~");
+      default:
+        return content;
+    }
+  },
+
+  _inlineChildren: function(el) {
+    var result = "";
+    for (var child of el.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        result += this._text(child.textContent);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        result += this._inline(child);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Wrap content in markers, keeping surrounding whitespace outside them so
+   * "<b> bold </b>" becomes " **bold** " rather than "** bold **".
+   */
+  _wrapMarker: function(content, open, close) {
+    var match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[1] + open + match[2] + close + match[3];
+  },
+
+  _list: function(el, width) {
+    var ordered = el.tagName.toUpperCase() === "OL";
+    var number = parseInt(el.getAttribute("start"), 10) || 1;
+    var items = [];
+
+    for (var li of el.children) {
+      if (li.tagName.toUpperCase() !== "LI") {
+        continue;
+      }
+      var marker = ordered ? (number++) + "." : "-";
+      var indent = " ".repeat(marker.length + 1);
+      var content = this._blocks(li, width - indent.length).join("\n");
+      items.push(content ? this._prefixLines(content, indent, "").replace(indent, marker + " ") : marker);
+    }
+
+    return items.join("\n");
+  },
+
+  _pre: function(el) {
+    var code = el.textContent.replace(/\n$/, "");
+    if (!this._markdown) {
+      return this._prefixLines(code, "    ", "");
+    }
+
+    var codeEl = el.querySelector("code");
+    var language = "";
+    var match = ((codeEl && codeEl.className) || el.className || "").match(/(?:lang|language)-([\w+#-]+)/);
+    if (match) {
+      language = match[1];
+    }
+    var fence = code.includes("```") ? "````" : "```";
+    return fence + language + "\n" + code + "\n" + fence;
+  },
+
+  _table: function(el) {
+    var rows = [];
+    for (var tr of el.querySelectorAll("tr")) {
+      // Skip rows of nested tables, they're flattened into their parent cell
+      if (tr.closest("table") !== el) {
+        continue;
+      }
+      var cells = [];
+      for (var cell of tr.cells) {
+        var text = this._inlineChildren(cell).replace(/\s+/g, " ").trim();
+        cells.push(this._markdown ? text.replace(/\|/g, "\\|") : text);
+      }
+      if (cells.length) {
+        rows.push(cells);
+      }
+    }
+    if (!rows.length) {
+      return "";
+    }
+
+    var columns = Math.max.apply(null, rows.map(row => row.length));
+    rows = rows.map(row => row.concat(new Array(columns - row.length).fill("")));
+
+    if (!this._markdown) {
+      return rows.map(row => row.join(" | ")).join("\n");
+    }
+
+    var lines = rows.map(row => "| " + row.join(" | ") + " |");
+    lines.splice(1, 0, "|" + " --- |".repeat(columns));
+    return lines.join("\n");
+  },
+
+  _prefixLines: function(text, prefix, blankPrefix) {
+    return text.split("\n").map(line => line ? prefix + line : blankPrefix).join("\n");
+  },
+
+  _text: function(text) {
+    text = text.replace(/\s+/g, " ");
+    return this._markdown ? this._escape(text) : text;
+  },
+
+  _escape: function(text) {
+    return text.replace(/([\\`*_\[\]])/g, "\\$1");
+  },
+
+  _url: function(url) {
+    return url.trim().replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+  },
+
+  /**
+   * Wrap each line of text at the given width.
+   *
+   * @param String text
+   * @param Number width
+   * @return String
+   */
+  _wrap: function(text, width) {
+    if (!width || width < 10) {
+      return text;
+    }
+
+    return text.split("\n").map(line => {
+      var lines = [];
+      var current = "";
+      for (var word of line.split(" ")) {
+        if (current && current.length + 1 + word.length > width) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = current ? current + " " + word : word;
+        }
+      }
+      lines.push(current);
+      return lines.join("\n");
+    }).join("\n");
+  }
+};
+
+if (typeof module === "object") {
+  /* global module */
+  module.exports = ArticleFormatter;
+}
@@ -0,0 +1,93 @@
+// Multi-page articles: merging the Readability results of consecutive pages
+// into one article. The pages are found by findNextPageLink() in
+// readability.js and followed by the server.
+//
+// Paginated sites repeat their header (title, byline, share bar) and footer
+// (page links, "continue reading") on every page. Blocks near the start or end
+// of a page whose text already appeared near the start or end of an earlier
+// page are dropped, so only the first copy is kept.
+
+const { parseInteger } = require('./params');
+const Readability = require('./readability');
+
+const MAX_PAGES = parseInt(process.env.MAX_ARTICLE_PAGES, 10) || 10;
+
+// Leading and trailing blocks of each page compared for repeats
+const BOUNDARY_BLOCKS = 8;
+
+// Validate the pages parameter; 1 disables stitching
+function getPagesOption(params) {
+  return parseInteger(params.pages, 'pages', 1, 1, MAX_PAGES);
+}
+
+// Merge the pages' articles, parsing their HTML with the page's DOM; the page
+// may hold any document. pages is [{ url, article, link }]; the first page
+// supplies the metadata.
+async function mergePages(page, pages, stopped) {
+  const merged = await page.evaluate((contents, boundaryBlocks) => {
+    const doc = document.implementation.createHTMLDocument('');
+    const blockSelector = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figure, table, div, section';
+    const seen = new Set();
+    let removedBlocks = 0;
+
+    // Text identifies a block; images without text are identified by their sources
+    const blockKey = (block) => {
+      const text = block.textContent.replace(/\s+/g, ' ').trim().toLowerCase();
+      if (text) return text;
+      return Array.from(block.querySelectorAll('img[src]'), img => img.getAttribute('src')).join(' ');
+    };
+
+    const parts = contents.map((html, index) => {
+      const container = doc.createElement('div');
+      container.innerHTML = html;
+
+      // Readability wraps every result in #readability-page-1; keep ids unique
+      const wrapper = container.querySelector('#readability-page-1');
+      if (wrapper) wrapper.id = `readability-page-${index + 1}`;
+
+      const blocks = Array.from(container.querySelectorAll(blockSelector))
+        .filter(block => !block.querySelector(blockSelector));
+      const boundary = blocks.length > boundaryBlocks * 2
+        ? blocks.slice(0, boundaryBlocks).concat(blocks.slice(-boundaryBlocks))
+        : blocks;
+
+      const keys = [];
+      for (const block of boundary) {
+        const key = blockKey(block);
+        if (!key) continue;
+        if (index > 0 && seen.has(key)) {
+          block.remove();
+          removedBlocks++;
+        } else {
+          keys.push(key);
+        }
+      }
+      keys.forEach(key => seen.add(key));
+      return container;
+    });
+
+    return {
+      content: parts.map(part => part.innerHTML).join('\n'),
+      textContent: parts.map(part => part.textContent).join('\n'),
+      removedBlocks
+    };
+  }, pages.map(({ article }) => article.content), BOUNDARY_BLOCKS);
+
+  const first = pages[0].article;
+  const wordCount = Readability.prototype._countWords(merged.textContent);
+  return {
+    ...first,
+    content: merged.content,
+    textContent: merged.textContent,
+    length: merged.textContent.length,
+    wordCount,
+    readingTime: Math.ceil(wordCount / Readability.prototype.WORDS_PER_MINUTE),
+    pagination: {
+      pages: pages.map(({ url, article, link }) => ({ url, link, length: article.length })),
+      removedBlocks: merged.removedBlocks,
+      stopped
+    }
+  };
+}
+
+module.exports = { MAX_PAGES, getPagesOption, mergePages };
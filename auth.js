@@ -0,0 +1,245 @@
+// API key authentication with per-key token-bucket rate limits, quotas,
+// feature permissions and usage counters.
+//
+// Keys come from API_KEYS_FILE (a JSON file) or API_KEYS (the same JSON
+// inline), shaped like:
+//
+//   { "keys": [{ "name": "team-a", "key": "secret",
+//                "features": ["screenshot", "extract", "pdf", "raw", "batch", "jobs", "sessions", "admin"],
+//                "rateLimit": { "capacity": 30, "refillPerSecond": 0.5 },
+//                "quota": { "daily": 1000, "monthly": 20000 } }] }
+//
+// When no keys are configured authentication is disabled.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALL_FEATURES = ['screenshot', 'extract', 'pdf', 'raw', 'batch', 'jobs', 'sessions', 'admin'];
+
+// Everything except admin unless a key lists its features explicitly
+const DEFAULT_FEATURES = ALL_FEATURES.filter(feature => feature !== 'admin');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function startOfNextDay(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+function startOfNextMonth(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  take() {
+    this.refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Seconds until the next token is available
+  retryAfter() {
+    return Math.max(1, Math.ceil((1 - this.tokens) / this.refillPerSecond));
+  }
+}
+
+class ApiKeyAuth {
+  constructor({ keys = [], defaultRateLimit }) {
+    this.clients = new Map();
+    for (const config of keys) {
+      if (!config.key || !config.name) {
+        throw new Error('Every API key needs a name and a key');
+      }
+      const unknown = (config.features || []).filter(feature => !ALL_FEATURES.includes(feature));
+      if (unknown.length) {
+        throw new Error(`API key "${config.name}" has unknown features: ${unknown.join(', ')}`);
+      }
+
+      this.clients.set(hashKey(config.key), {
+        name: config.name,
+        features: config.features || DEFAULT_FEATURES,
+        bucket: new TokenBucket({ ...defaultRateLimit, ...config.rateLimit }),
+        quota: config.quota || {},
+        usage: {
+          requests: 0,
+          renders: 0,
+          byFeature: {},
+          rateLimited: 0,
+          quotaExceeded: 0,
+          daily: { used: 0, resetAt: startOfNextDay(new Date()) },
+          monthly: { used: 0, resetAt: startOfNextMonth(new Date()) },
+          lastUsedAt: null
+        }
+      });
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    let config = { keys: [] };
+    if (env.API_KEYS_FILE) {
+      config = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8'));
+    } else if (env.API_KEYS) {
+      config = JSON.parse(env.API_KEYS);
+    }
+
+    return new ApiKeyAuth({
+      keys: config.keys || [],
+      defaultRateLimit: {
+        capacity: parseFloat(env.RATE_LIMIT_CAPACITY) || 30,
+        refillPerSecond: parseFloat(env.RATE_LIMIT_REFILL_PER_SECOND) || 0.5
+      }
+    });
+  }
+
+  get enabled() {
+    return this.clients.size > 0;
+  }
+
+  // Header (X-API-Key or Authorization: Bearer) first, then the api_key query parameter
+  static getKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+
+    const authorization = req.get('Authorization');
+    const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1];
+
+    return req.query.api_key;
+  }
+
+  // Express middleware: authenticate and rate limit every request except publicPaths
+  middleware(publicPaths = []) {
+    return (req, res, next) => {
+      if (!this.enabled || publicPaths.includes(req.path)) return next();
+
+      const key = ApiKeyAuth.getKey(req);
+      const client = key && this.clients.get(hashKey(key));
+      if (!client) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="screenshot", X-API-Key');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: key ? 'Invalid API key' : 'An API key is required (X-API-Key header, Bearer token or api_key parameter)'
+        });
+      }
+
+      client.usage.requests++;
+      client.usage.lastUsedAt = new Date();
+
+      const allowed = client.bucket.take();
+      res.setHeader('X-RateLimit-Limit', String(client.bucket.capacity));
+      res.setHeader('X-RateLimit-Remaining', String(Math.floor(client.bucket.tokens)));
+      if (!allowed) {
+        client.usage.rateLimited++;
+        const retryAfter = client.bucket.retryAfter();
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: `Too many requests for API key "${client.name}"`,
+          retryAfter
+        });
+      }
+
+      req.apiClient = client;
+      next();
+    };
+  }
+
+  // Throws if the authenticated client lacks one of the features
+  static authorize(client, features) {
+    if (!client) return;
+
+    const missing = features.filter(feature => !client.features.includes(feature));
+    if (missing.length) {
+      const error = new Error(`API key "${client.name}" is not allowed to use: ${missing.join(', ')}`);
+      error.features = missing;
+      throw error;
+    }
+  }
+
+  // Charge units against the client's quotas; returns the exceeded quota or null
+  static consume(client, units, features) {
+    if (!client) return null;
+
+    const now = Date.now();
+    const { usage, quota } = client;
+    for (const period of ['daily', 'monthly']) {
+      if (usage[period].resetAt <= now) {
+        usage[period].used = 0;
+        usage[period].resetAt = period === 'daily' ? startOfNextDay(new Date()) : startOfNextMonth(new Date());
+      }
+    }
+
+    for (const period of ['daily', 'monthly']) {
+      if (quota[period] && usage[period].used + units > quota[period]) {
+        usage.quotaExceeded++;
+        return {
+          period,
+          limit: quota[period],
+          remaining: Math.max(0, quota[period] - usage[period].used),
+          resetAt: new Date(usage[period].resetAt)
+        };
+      }
+    }
+
+    usage.daily.used += units;
+    usage.monthly.used += units;
+    usage.renders += units;
+    for (const feature of features) {
+      usage.byFeature[feature] = (usage.byFeature[feature] || 0) + units;
+    }
+    return null;
+  }
+
+  static describe(client) {
+    const { usage, quota } = client;
+    return {
+      name: client.name,
+      features: client.features,
+      rateLimit: {
+        capacity: client.bucket.capacity,
+        refillPerSecond: client.bucket.refillPerSecond,
+        remaining: Math.floor(client.bucket.tokens)
+      },
+      quota: {
+        daily: { limit: quota.daily || null, used: usage.daily.used, resetAt: new Date(usage.daily.resetAt) },
+        monthly: { limit: quota.monthly || null, used: usage.monthly.used, resetAt: new Date(usage.monthly.resetAt) }
+      },
+      usage: {
+        requests: usage.requests,
+        renders: usage.renders,
+        byFeature: usage.byFeature,
+        rateLimited: usage.rateLimited,
+        quotaExceeded: usage.quotaExceeded,
+        lastUsedAt: usage.lastUsedAt
+      }
+    };
+  }
+
+  findByName(name) {
+    for (const client of this.clients.values()) {
+      if (client.name === name) return client;
+    }
+    return null;
+  }
+
+  list() {
+    return [...this.clients.values()].map(ApiKeyAuth.describe);
+  }
+}
+
+module.exports = { ApiKeyAuth, ALL_FEATURES };
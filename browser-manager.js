@@ -0,0 +1,260 @@
+// Owns the Chrome process: launches it, relaunches it with exponential backoff
+// when it crashes or disconnects, and recycles it after a number of pages to
+// keep memory leaks in long-lived browsers in check.
+
+const puppeteer = require('puppeteer');
+
+// Errors that only arise once the page's target or the browser connection is gone
+const CRASH_ERROR_PATTERN = /Target closed|Session closed|browser has disconnected|Connection closed|Browser unavailable/i;
+
+// Any failed CDP call or detached frame; a crash only if the browser is gone too
+const PROTOCOL_ERROR_PATTERN = /Protocol error|Navigating frame was detached/i;
+
+class BrowserUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BrowserUnavailableError';
+  }
+}
+
+class BrowserManager {
+  constructor({
+    launchOptions,
+    recycleAfter = 0,
+    healthCheckInterval = 30000,
+    minBackoff = 1000,
+    maxBackoff = 30000,
+    maxFailedLaunches = 10,
+    readyTimeout = 30000
+  }) {
+    this.launchOptions = launchOptions;
+    this.recycleAfter = recycleAfter;
+    this.healthCheckInterval = healthCheckInterval;
+    this.minBackoff = minBackoff;
+    this.maxBackoff = maxBackoff;
+    this.maxFailedLaunches = maxFailedLaunches;
+    this.readyTimeout = readyTimeout;
+
+    this.browser = null;
+    this.state = 'stopped';
+    this.generation = 0;
+    this.openPages = 0;
+    this.pagesSinceLaunch = 0;
+    this.totalPages = 0;
+    this.restarts = 0;
+    this.failedLaunches = 0;
+    this.lastError = null;
+    this.launchedAt = null;
+    this.recyclePending = false;
+    this.waiters = [];
+    this.relaunchTimer = null;
+    this.healthTimer = null;
+  }
+
+  // Initial launch; rejects if Chrome cannot be started at all
+  async start() {
+    await this.launch();
+    if (this.healthCheckInterval > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+      this.healthTimer.unref();
+    }
+  }
+
+  async launch() {
+    this.state = 'starting';
+    console.log('Launching Chrome browser...');
+    const browser = await puppeteer.launch(this.launchOptions);
+    const generation = ++this.generation;
+
+    browser.on('disconnected', () => this.onDisconnected(generation));
+
+    this.browser = browser;
+    this.state = 'ready';
+    this.pagesSinceLaunch = 0;
+    this.openPages = 0;
+    this.recyclePending = false;
+    this.failedLaunches = 0;
+    this.launchedAt = new Date();
+    console.log('Chrome browser launched successfully');
+
+    const waiters = this.waiters.splice(0);
+    for (const waiter of waiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(browser);
+    }
+  }
+
+  onDisconnected(generation) {
+    // Ignore events from browsers we already replaced or closed on purpose
+    if (generation !== this.generation || this.state === 'closing' || this.state === 'stopped') return;
+
+    console.error('Chrome browser disconnected unexpectedly');
+    this.lastError = 'Browser disconnected';
+    this.browser = null;
+    this.scheduleRelaunch();
+  }
+
+  scheduleRelaunch() {
+    if (this.relaunchTimer || this.state === 'stopped') return;
+
+    this.state = 'relaunching';
+    const delay = Math.min(this.maxBackoff, this.minBackoff * 2 ** this.failedLaunches);
+    console.log(`Relaunching Chrome in ${delay}ms...`);
+
+    this.relaunchTimer = setTimeout(async () => {
+      this.relaunchTimer = null;
+      try {
+        await this.launch();
+        this.restarts++;
+      } catch (error) {
+        this.failedLaunches++;
+        this.lastError = error.message;
+        console.error('Failed to relaunch browser:', error);
+        this.scheduleRelaunch();
+      }
+    }, delay);
+  }
+
+  // Replace the current browser with a fresh one once no pages are open
+  async recycle() {
+    if (this.state !== 'ready') return;
+
+    console.log(`Recycling Chrome after ${this.pagesSinceLaunch} pages...`);
+    const old = this.browser;
+    this.state = 'closing';
+    this.browser = null;
+    await old.close().catch(() => {});
+
+    try {
+      await this.launch();
+      this.restarts++;
+    } catch (error) {
+      this.failedLaunches++;
+      this.lastError = error.message;
+      console.error('Failed to relaunch browser:', error);
+      this.scheduleRelaunch();
+    }
+  }
+
+  async checkHealth() {
+    if (this.state !== 'ready') return;
+
+    const browser = this.browser;
+    let timer;
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timed out')), 10000);
+        })
+      ]);
+    } catch (error) {
+      if (browser !== this.browser) return;
+      console.error('Browser health check failed:', error.message);
+      this.lastError = error.message;
+      this.browser = null;
+      this.generation++;
+      browser.process()?.kill('SIGKILL');
+      this.scheduleRelaunch();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Resolve with a usable browser, waiting for an in-progress (re)launch
+  getBrowser() {
+    if (this.state === 'ready' && !this.recyclePending && this.browser.isConnected()) {
+      return Promise.resolve(this.browser);
+    }
+    if (this.state === 'stopped') {
+      return Promise.reject(new BrowserUnavailableError('Browser unavailable: not running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new BrowserUnavailableError('Browser unavailable: timed out waiting for relaunch'));
+      }, this.readyTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Each page gets its own incognito context, closed with the page, so
+  // cookies, storage and cache never carry over between requests
+  async newPage() {
+    const browser = await this.getBrowser();
+    const context = await browser.createIncognitoBrowserContext();
+    let page;
+    try {
+      page = await context.newPage();
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+
+    this.openPages++;
+    this.pagesSinceLaunch++;
+    this.totalPages++;
+    if (this.recycleAfter > 0 && this.pagesSinceLaunch >= this.recycleAfter) {
+      this.recyclePending = true;
+    }
+
+    const generation = this.generation;
+    page.once('close', () => {
+      context.close().catch(() => {});
+      if (generation !== this.generation) return;
+      this.openPages--;
+      if (this.recyclePending && this.openPages === 0) this.recycle();
+    });
+
+    return page;
+  }
+
+  // Whether error comes from a crashed browser or page rather than from the page's
+  // content, such as an evaluate whose execution context was destroyed
+  isCrashError(error) {
+    if (error instanceof BrowserUnavailableError || CRASH_ERROR_PATTERN.test(error.message)) return true;
+    return PROTOCOL_ERROR_PATTERN.test(error.message) && !this.isReady();
+  }
+
+  isHealthy() {
+    return this.failedLaunches < this.maxFailedLaunches;
+  }
+
+  isReady() {
+    return this.state === 'ready' && this.browser !== null && this.browser.isConnected();
+  }
+
+  status() {
+    return {
+      state: this.state,
+      connected: this.isReady(),
+      launchedAt: this.launchedAt,
+      restarts: this.restarts,
+      failedLaunches: this.failedLaunches,
+      lastError: this.lastError,
+      openPages: this.openPages,
+      pagesSinceLaunch: this.pagesSinceLaunch,
+      totalPages: this.totalPages,
+      recycleAfter: this.recycleAfter,
+      recyclePending: this.recyclePending
+    };
+  }
+
+  async close() {
+    this.state = 'stopped';
+    clearTimeout(this.relaunchTimer);
+    clearInterval(this.healthTimer);
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new BrowserUnavailableError('Browser unavailable: shutting down'));
+    }
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+}
+
+module.exports = { BrowserManager, BrowserUnavailableError };
@@ -0,0 +1,254 @@
+// Render result cache with in-memory LRU and on-disk directory backends.
+//
+// Entries are { body, contentType, headers, url, etag, createdAt, expiresAt }
+// and are keyed on the normalized URL plus the options that affect the output.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Lowercase scheme and host, drop default ports and fragments, sort the query
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch (error) {
+    return String(url);
+  }
+}
+
+// Stable JSON serialization so option order does not change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cacheKey(type, url, options) {
+  return crypto.createHash('sha256')
+    .update(stableStringify({ type, url: normalizeUrl(url), options }))
+    .digest('hex');
+}
+
+function createEntry(url, { body, contentType, headers = {} }, ttl) {
+  const now = Date.now();
+  return {
+    body,
+    contentType,
+    headers,
+    url: normalizeUrl(url),
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    createdAt: now,
+    expiresAt: now + ttl * 1000
+  };
+}
+
+class MemoryCache {
+  constructor({ maxEntries = 100, maxBytes = 200 * 1024 * 1024 }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+
+    // Move to the back of the Map so iteration order stays least recently used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    if (entry.body.length > this.maxBytes) return;
+
+    this.remove(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.body.length;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.remove(oldest);
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.body.length;
+      this.entries.delete(key);
+    }
+  }
+
+  // Remove every entry, or only those for one normalized URL
+  async purge(url) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!url || entry.url === url) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async stats() {
+    return { backend: 'memory', entries: this.entries.size, bytes: this.bytes, maxEntries: this.maxEntries, maxBytes: this.maxBytes };
+  }
+}
+
+// Stores <key>.bin with the body and <key>.json with the metadata. Body file
+// mtimes are bumped on reads so eviction removes the least recently used.
+class DiskCache {
+  constructor({ dir, maxEntries = 1000, maxBytes = 1024 * 1024 * 1024 }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  paths(key) {
+    return {
+      body: path.join(this.dir, `${key}.bin`),
+      meta: path.join(this.dir, `${key}.json`)
+    };
+  }
+
+  async get(key) {
+    const paths = this.paths(key);
+    let meta;
+    try {
+      meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (meta.expiresAt <= Date.now()) {
+      await this.remove(key);
+      return null;
+    }
+
+    try {
+      const body = await fs.promises.readFile(paths.body);
+      const now = new Date();
+      await fs.promises.utimes(paths.body, now, now);
+      return { ...meta, body };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const paths = this.paths(key);
+    const { body, ...meta } = entry;
+
+    // Write to temporary files first so readers never see a partial entry
+    const suffix = `.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(paths.body + suffix, body);
+    await fs.promises.writeFile(paths.meta + suffix, JSON.stringify(meta));
+    await fs.promises.rename(paths.body + suffix, paths.body);
+    await fs.promises.rename(paths.meta + suffix, paths.meta);
+
+    await this.evict();
+  }
+
+  async remove(key) {
+    const paths = this.paths(key);
+    await fs.promises.rm(paths.body, { force: true });
+    await fs.promises.rm(paths.meta, { force: true });
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.bin')) continue;
+      try {
+        const stat = await fs.promises.stat(path.join(this.dir, file));
+        entries.push({ key: file.slice(0, -4), size: stat.size, mtime: stat.mtimeMs });
+      } catch (error) {
+        // Removed by a concurrent eviction
+      }
+    }
+    return entries;
+  }
+
+  async evict() {
+    const entries = (await this.list()).sort((a, b) => a.mtime - b.mtime);
+    let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+    let count = entries.length;
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      await this.remove(entry.key);
+      bytes -= entry.size;
+      count--;
+    }
+  }
+
+  async purge(url) {
+    let removed = 0;
+    for (const { key } of await this.list()) {
+      if (url) {
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(this.paths(key).meta, 'utf8'));
+          if (meta.url !== url) continue;
+        } catch (error) {
+          // Orphaned body without metadata; remove it
+        }
+      }
+      await this.remove(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  async stats() {
+    const entries = await this.list();
+    return {
+      backend: 'disk',
+      dir: this.dir,
+      entries: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+// Used when caching is disabled
+class NoCache {
+  async get() { return null; }
+  async set() {}
+  async purge() { return 0; }
+  async stats() { return { backend: 'none' }; }
+}
+
+function createCache({ backend, dir, maxEntries, maxBytes }) {
+  switch (backend) {
+    case 'none':
+      return new NoCache();
+    case 'disk':
+      return new DiskCache({ dir, maxEntries, maxBytes });
+    case 'memory':
+      return new MemoryCache({ maxEntries, maxBytes });
+    default:
+      throw new Error(`Unknown cache backend "${backend}". Use memory, disk or none`);
+  }
+}
+
+module.exports = { createCache, cacheKey, createEntry, normalizeUrl, MemoryCache, DiskCache };
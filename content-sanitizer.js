@@ -0,0 +1,174 @@
+/*
+ * Sanitizes Readability article HTML before it is rendered or returned.
+ *
+ * Like readability.js this is injected into the page and run there, so the
+ * article HTML can be parsed with the browser's own DOM. Needs html-fragment.js.
+ * Elements outside the tag allow-list are unwrapped (their text is kept) or,
+ * for dangerous and non-content elements, removed entirely. Attributes outside
+ * the allow-list, event handlers and script URLs are always stripped.
+ */
+
+/**
+ * Public constructor.
+ * @param {Object} options The options object.
+ *   - allowedTags:       tag names to keep (defaults to DEFAULT_TAGS)
+ *   - allowedAttributes: attribute names to keep (defaults to DEFAULT_ATTRIBUTES)
+ *   - iframes:           "remove", "video" (only known video hosts) or "keep"
+ *   - videoRegex:        source pattern for iframes allowed by "video"
+ */
+function ContentSanitizer(options) {
+  options = options || {};
+  this._allowedTags = new Set((options.allowedTags || this.DEFAULT_TAGS).map(tag => tag.toUpperCase()));
+  this._allowedAttributes = new Set((options.allowedAttributes || this.DEFAULT_ATTRIBUTES).map(name => name.toLowerCase()));
+  this._iframes = options.iframes || "video";
+  this._videoRegex = options.videoRegex ? new RegExp(options.videoRegex, "i") : this.VIDEO_REGEX;
+  this._report = { removedElements: 0, unwrappedElements: 0, removedAttributes: 0, removedIframes: 0 };
+
+  // These can never be allowed, whatever the configuration says
+  for (var tag of this.FORBIDDEN_TAGS) {
+    this._allowedTags.delete(tag);
+  }
+}
+
+ContentSanitizer.prototype = {
+  // IFRAME is governed by the iframes option rather than this list
+  DEFAULT_TAGS: [
+    "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "col", "colgroup",
+    "dd", "del", "details", "dfn", "div", "dl", "dt", "em", "figcaption", "figure",
+    "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li", "mark",
+    "ol", "p", "picture", "pre", "q", "s", "samp", "section", "small", "source", "span",
+    "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead",
+    "time", "tr", "u", "ul", "var", "video", "audio", "article"
+  ],
+
+  DEFAULT_ATTRIBUTES: [
+    "alt", "cite", "class", "colspan", "controls", "datetime", "dir", "height", "href",
+    "id", "lang", "poster", "rowspan", "scope", "sizes", "span", "src", "srcset", "start",
+    "title", "type", "width", "allowfullscreen", "frameborder"
+  ],
+
+  // Removed together with their content rather than unwrapped
+  FORBIDDEN_TAGS: [
+    "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "OBJECT", "EMBED", "APPLET", "BASE",
+    "LINK", "META", "FRAME", "FRAMESET", "FORM", "INPUT", "BUTTON", "SELECT", "TEXTAREA",
+    "SVG", "MATH"
+  ],
+
+  URL_ATTRIBUTES: ["href", "src", "srcset", "poster", "cite", "action", "formaction", "xlink:href"],
+
+  // Schemes that run code or smuggle documents when followed or loaded
+  UNSAFE_URL: /^(javascript|vbscript|data|file):/i,
+
+  // Inline images are fine as image sources
+  SAFE_DATA_URL: /^data:image\/(png|gif|jpe?g|webp|avif);/i,
+
+  VIDEO_REGEX: /\/\/(www\.)?((dailymotion|youtube|youtube-nocookie|player\.vimeo|v\.qq)\.com|(archive|upload\.wikimedia)\.org|player\.twitch\.tv)/i,
+
+  // Sandbox for kept iframes: players need scripts, but never top navigation or popups
+  IFRAME_SANDBOX: "allow-scripts allow-same-origin allow-presentation",
+
+  /**
+   * Sanitize an HTML fragment.
+   *
+   * @param String html The article content returned by Readability.
+   * @return String
+   */
+  sanitize: function(html) {
+    var container = parseHtmlFragment(html);
+    this._cleanChildren(container);
+    return container.innerHTML;
+  },
+
+  /**
+   * Counts of what the last sanitize() call removed.
+   * @return Object
+   */
+  report: function() {
+    return this._report;
+  },
+
+  _cleanChildren: function(node) {
+    var child = node.firstChild;
+    while (child) {
+      var next = child.nextSibling;
+      if (child.nodeType === Node.COMMENT_NODE || child.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+        child.remove();
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        next = this._cleanElement(child) || next;
+      }
+      child = next;
+    }
+  },
+
+  /**
+   * Clean one element in place. When the element is unwrapped, returns its
+   * first former child so the caller continues the walk from there.
+   */
+  _cleanElement: function(el) {
+    var tag = el.tagName.toUpperCase();
+
+    if (this.FORBIDDEN_TAGS.includes(tag)) {
+      el.remove();
+      this._report.removedElements++;
+      return null;
+    }
+
+    if (tag === "IFRAME") {
+      if (!this._keepIframe(el)) {
+        el.remove();
+        this._report.removedIframes++;
+        return null;
+      }
+    } else if (!this._allowedTags.has(tag)) {
+      // Keep the text of unknown wrappers, drop the wrapper itself
+      var first = el.firstChild;
+      el.replaceWith(...el.childNodes);
+      this._report.unwrappedElements++;
+      return first;
+    }
+
+    this._cleanAttributes(el);
+    if (tag === "IFRAME") {
+      el.setAttribute("sandbox", this.IFRAME_SANDBOX);
+    }
+    if (tag === "A" && el.hasAttribute("href")) {
+      el.setAttribute("rel", "noopener noreferrer");
+    }
+    this._cleanChildren(el);
+    return null;
+  },
+
+  _keepIframe: function(el) {
+    if (this._iframes === "remove") return false;
+    if (this._iframes === "keep") return this._isSafeUrl("src", el.getAttribute("src") || "");
+    return this._videoRegex.test(el.getAttribute("src") || "");
+  },
+
+  _cleanAttributes: function(el) {
+    for (var attr of Array.from(el.attributes)) {
+      var name = attr.name.toLowerCase();
+      var keep = this._allowedAttributes.has(name) && !name.startsWith("on");
+      if (keep && this.URL_ATTRIBUTES.includes(name)) {
+        keep = name === "srcset"
+          ? attr.value.split(",").every(candidate => this._isSafeUrl("src", candidate.trim()))
+          : this._isSafeUrl(name, attr.value);
+      }
+      if (!keep) {
+        el.removeAttribute(attr.name);
+        this._report.removedAttributes++;
+      }
+    }
+  },
+
+  _isSafeUrl: function(name, value) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    var url = value.replace(/[\u0000- \u007f-\u009f]/g, "");
+    if (!this.UNSAFE_URL.test(url)) return true;
+    return name === "src" && this.SAFE_DATA_URL.test(url);
+  }
+};
+
+if (typeof module === "object") {
+  /* global module */
+  module.exports = ContentSanitizer;
+}
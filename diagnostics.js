@@ -0,0 +1,79 @@
+// Per-page diagnostics returned on request: final URL, redirect chain, target
+// status code, console errors and timings. Collected for every page so they
+// are available when a render fails part way through.
+
+const MAX_CONSOLE_ERRORS = 50;
+const MAX_MESSAGE_LENGTH = 500;
+
+function truncate(text) {
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}...` : text;
+}
+
+class Diagnostics {
+  constructor(page, timings) {
+    this.page = page;
+    this.timings = timings;
+    this.response = null;
+    this.consoleErrors = [];
+
+    page.on('console', (message) => {
+      if (message.type() === 'error') {
+        this.addConsoleError('console', message.text());
+      }
+    });
+    page.on('pageerror', (error) => this.addConsoleError('exception', error.message));
+  }
+
+  addConsoleError(source, text) {
+    if (this.consoleErrors.length < MAX_CONSOLE_ERRORS) {
+      this.consoleErrors.push({ source, message: truncate(String(text)) });
+    }
+  }
+
+  // Response of the main navigation, as returned by page.goto()
+  recordNavigation(response) {
+    this.response = response;
+  }
+
+  targetStatus() {
+    return this.response ? this.response.status() : null;
+  }
+
+  redirectChain() {
+    if (!this.response) return [];
+    return this.response.request().redirectChain().map(request => ({
+      url: request.url(),
+      status: request.response() ? request.response().status() : null
+    }));
+  }
+
+  // Summary headers for binary responses, where the full report has no place
+  headers() {
+    const { finalUrl, targetStatus, redirectChain, consoleErrors } = this.toJSON();
+    const headers = {
+      'X-Redirect-Count': String(redirectChain.length),
+      'X-Console-Errors': String(consoleErrors.length)
+    };
+    if (finalUrl) headers['X-Final-Url'] = finalUrl;
+    if (targetStatus !== null) headers['X-Target-Status'] = String(targetStatus);
+    return headers;
+  }
+
+  toJSON() {
+    let finalUrl = this.response ? this.response.url() : null;
+    try {
+      finalUrl = finalUrl || this.page.url();
+    } catch (error) {
+      // Page already closed
+    }
+    return {
+      finalUrl,
+      targetStatus: this.targetStatus(),
+      redirectChain: this.redirectChain(),
+      consoleErrors: this.consoleErrors,
+      timings: this.timings
+    };
+  }
+}
+
+module.exports = { Diagnostics };
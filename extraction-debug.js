@@ -0,0 +1,130 @@
+// Extraction debugging: why Readability picked the content it did.
+//
+// Readability's trace option records, per extraction attempt, every scored
+// candidate (tag score, class weight, paragraph score, link density) and every
+// node it removed with the reason. This module turns that trace into a score
+// report and draws it over the original page: the chosen top candidate in
+// green, the other leading candidates in blue, blocks removed by
+// _cleanConditionally in red and nodes dropped while scanning in orange.
+
+const { parseBoolean, parseChoice, parseInteger } = require('./params');
+const { TRACE_ATTRIBUTE } = require('./readability').prototype;
+
+const DEBUG_FORMATS = ['png', 'json'];
+const MAX_CANDIDATES = 50;
+const MAX_REMOVED = 200;
+
+const COLORS = {
+  topCandidate: '#2e7d32',
+  candidate: '#1565c0',
+  cleanConditionally: '#c62828',
+  grabArticle: '#ef6c00'
+};
+
+// Validate debug parameters, throwing on invalid values
+function getDebugOptions(params) {
+  return {
+    format: parseChoice(params.format, 'format', 'png', DEBUG_FORMATS),
+    candidates: parseInteger(params.candidates, 'candidates', 10, 1, MAX_CANDIDATES),
+    // Include the annotated screenshot, base64 encoded, in JSON reports
+    screenshot: parseBoolean(params.screenshot, false)
+  };
+}
+
+// Score report from a Readability trace, keeping the best `limit` candidates
+// of each attempt. Null when Readability did not run.
+function buildScoreReport(trace, limit) {
+  if (!trace) return null;
+
+  const attempts = trace.attempts.map((attempt, index) => {
+    const candidates = attempt.candidates
+      .slice()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((candidate, rank) => ({ rank: rank + 1, ...candidate }));
+    return {
+      index,
+      selected: index === trace.selectedAttempt,
+      flags: attempt.flags,
+      textLength: attempt.textLength,
+      topCandidate: attempt.topCandidate,
+      candidateCount: attempt.candidates.length,
+      candidates,
+      removedCount: attempt.removed.length,
+      removed: attempt.removed.slice(0, MAX_REMOVED)
+    };
+  });
+
+  return { selectedAttempt: trace.selectedAttempt, legend: COLORS, attempts };
+}
+
+// The attempt to draw: the one Readability used, else the last one tried
+function shownAttempt(report) {
+  if (!report || !report.attempts.length) return null;
+  return report.attempts.find(attempt => attempt.selected) || report.attempts[report.attempts.length - 1];
+}
+
+// Draw the shown attempt over the page and remove the trace attributes.
+// Resolves with the number of overlays drawn.
+function annotatePage(page, report) {
+  const attempt = shownAttempt(report);
+  const overlays = [];
+  if (attempt) {
+    // Drawn in order, so later overlays sit on top
+    for (const node of attempt.removed) {
+      overlays.push({ id: node.id, color: COLORS[node.stage] || COLORS.grabArticle, label: `removed: ${node.reason}` });
+    }
+    for (const node of attempt.candidates.slice().reverse()) {
+      const linkDensity = Math.round(node.linkDensity * 100);
+      overlays.push({ id: node.id, color: COLORS.candidate, label: `#${node.rank} ${node.tag} ${node.score.toFixed(1)} (links ${linkDensity}%)` });
+    }
+    if (attempt.topCandidate) {
+      overlays.push({ id: attempt.topCandidate.id, color: COLORS.topCandidate, label: `top candidate ${attempt.topCandidate.tag} ${attempt.topCandidate.score.toFixed(1)}` });
+    }
+  }
+
+  return page.evaluate((overlays, traceAttribute) => {
+    const layer = document.createElement('div');
+    layer.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+
+    let drawn = 0;
+    for (const { id, color, label } of overlays) {
+      if (id === null) continue;
+      const el = document.querySelector(`[${traceAttribute}="${id}"]`);
+      if (!el) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const box = document.createElement('div');
+      box.style.cssText = `position: absolute; box-sizing: border-box; border: 3px solid ${color}; background: ${color}1a;`;
+      box.style.left = `${rect.left + window.scrollX}px`;
+      box.style.top = `${rect.top + window.scrollY}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+
+      const tag = document.createElement('span');
+      tag.textContent = label;
+      tag.style.cssText = `position: absolute; top: 0; left: 0; padding: 1px 4px; background: ${color}; color: #fff; font: 12px/1.4 monospace; white-space: nowrap;`;
+      box.appendChild(tag);
+
+      layer.appendChild(box);
+      drawn++;
+    }
+    document.body.appendChild(layer);
+
+    document.querySelectorAll(`[${traceAttribute}]`).forEach(el => el.removeAttribute(traceAttribute));
+    return drawn;
+  }, overlays, TRACE_ATTRIBUTE);
+}
+
+// e.g. "DIV#main.article-body 84.2"
+function topCandidateHeader(report) {
+  const attempt = shownAttempt(report);
+  if (!attempt || !attempt.topCandidate) return null;
+  const { tag, elementId, className, score } = attempt.topCandidate;
+  const classes = className.trim() ? `.${className.trim().split(/\s+/).join('.')}` : '';
+  // Header values must be printable ASCII
+  return `${tag}${elementId ? `#${elementId}` : ''}${classes} ${score.toFixed(1)}`.replace(/[^\x20-\x7e]/g, '?');
+}
+
+module.exports = { getDebugOptions, buildScoreReport, annotatePage, topCandidateHeader };
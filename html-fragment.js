@@ -0,0 +1,25 @@
+/*
+ * Parsing of article HTML for the scripts that run in the page alongside it
+ * (content-sanitizer.js and article-formatter.js).
+ */
+
+/**
+ * Parse an HTML fragment into a detached container element.
+ *
+ * The fragment is parsed in an inert document, so whatever the article
+ * contains, its images don't load and its scripts don't run.
+ *
+ * @param String html
+ * @return Element
+ */
+function parseHtmlFragment(html) {
+  var doc = document.implementation.createHTMLDocument("");
+  var container = doc.createElement("div");
+  container.innerHTML = html;
+  return container;
+}
+
+if (typeof module === "object") {
+  /* global module */
+  module.exports = parseHtmlFragment;
+}
@@ -0,0 +1,242 @@
+// In-memory store for asynchronous render jobs.
+//
+// Jobs run in submission order with at most `concurrency` at a time, are kept
+// for `retention` ms after finishing, and optionally notify a callback URL
+// with an HMAC-signed POST when done. At most `maxFinished` finished jobs,
+// holding at most `maxResultBytes` of results, are kept; the oldest go first.
+//
+// Callbacks are not redirected: checkCallback(url), which rejects URLs the
+// server may not call and resolves with the addresses the host was checked
+// at, runs before every delivery attempt. The callback is sent to those
+// addresses only, so the host cannot resolve elsewhere in between, and a
+// redirect response counts as a failed delivery.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const CALLBACK_TIMEOUT = 10000;
+
+// POST body to url, connecting only to addresses when given. Redirects are not
+// followed. Resolves with the response status code.
+function post(url, { headers, body, addresses }) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const family = address => (net.isIPv6(address) ? 6 : 4);
+  const lookup = addresses && addresses.length ? (hostname, options, callback) => {
+    if (options.all) {
+      return callback(null, addresses.map(address => ({ address, family: family(address) })));
+    }
+    callback(null, addresses[0], family(addresses[0]));
+  } : undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+class JobStore {
+  constructor({
+    run, describe, checkCallback = async () => {}, concurrency = 4, maxPending = 100, retention = 3600000,
+    maxFinished = 1000, maxResultBytes = 200 * 1024 * 1024, callbackRetries = 3
+  }) {
+    this.runJob = run;
+    this.describeResult = describe;
+    this.checkCallback = checkCallback;
+    this.concurrency = concurrency;
+    this.maxPending = maxPending;
+    this.retention = retention;
+    this.maxFinished = maxFinished;
+    this.maxResultBytes = maxResultBytes;
+    this.callbackRetries = callbackRetries;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    // Finished jobs in the order they finished, and the bytes their results hold
+    this.finished = new Map();
+    this.finishedBytes = 0;
+
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(60000, retention));
+    this.sweepTimer.unref();
+  }
+
+  // Returns null when too many jobs are already waiting
+  create(type, params, callback, owner = null) {
+    if (this.pending.length >= this.maxPending) return null;
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      type,
+      url: params.url,
+      params,
+      callback,
+      owner,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.next();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length) {
+      this.execute(this.pending.shift());
+    }
+  }
+
+  async execute(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    try {
+      job.result = await this.runJob(job.params);
+      job.status = job.result.status === 'ok' ? 'succeeded' : 'failed';
+    } catch (error) {
+      job.result = { status: 'error', statusCode: 500, code: 'INTERNAL_ERROR', error: 'Job failed', message: error.message };
+      job.status = 'failed';
+    }
+
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(job.finishedAt.getTime() + this.retention);
+    this.running--;
+    this.keep(job);
+    this.next();
+
+    if (job.callback) {
+      this.notify(job);
+    }
+  }
+
+  // Public view of a job, without its callback secret
+  describe(job, includeResult = true) {
+    const { id, status, type, url, createdAt, startedAt, finishedAt, expiresAt, result } = job;
+    const description = { id, status, type, url, createdAt, startedAt, finishedAt, expiresAt };
+    if (job.callback) {
+      description.callbackUrl = job.callback.url;
+      description.callbackStatus = job.callback.status || 'pending';
+    }
+    if (result && includeResult) {
+      const { index, url: resultUrl, type: resultType, status: resultStatus, ...details } = this.describeResult(result);
+      Object.assign(description, details);
+    }
+    return description;
+  }
+
+  // Bytes of a finished job's result body
+  static resultBytes(job) {
+    return job.result && job.result.entry ? job.result.entry.body.length : 0;
+  }
+
+  // Store a finished job, dropping the oldest finished jobs over the limits.
+  // The newest job is always kept.
+  keep(job) {
+    this.finished.set(job.id, job);
+    this.finishedBytes += JobStore.resultBytes(job);
+
+    for (const oldest of this.finished.values()) {
+      if (oldest === job) break;
+      if (this.finished.size <= this.maxFinished && this.finishedBytes <= this.maxResultBytes) break;
+      this.remove(oldest);
+    }
+  }
+
+  remove(job) {
+    this.jobs.delete(job.id);
+    if (this.finished.delete(job.id)) {
+      this.finishedBytes -= JobStore.resultBytes(job);
+    }
+  }
+
+  async notify(job) {
+    const body = JSON.stringify(this.describe(job));
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', job.callback.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    for (let attempt = 0; attempt <= this.callbackRetries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      }
+      let addresses;
+      try {
+        // The host may resolve differently by now
+        addresses = await this.checkCallback(job.callback.url);
+      } catch (error) {
+        job.callback.lastError = error.message;
+        break;
+      }
+      try {
+        const status = await post(job.callback.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Job-Id': job.id,
+            'X-Signature-Timestamp': timestamp,
+            'X-Signature-256': `sha256=${signature}`
+          },
+          body,
+          addresses
+        });
+        if (status >= 200 && status < 300) {
+          job.callback.status = 'delivered';
+          return;
+        }
+        job.callback.lastError = status >= 300 && status < 400
+          ? `HTTP ${status} redirect, which callbacks do not follow`
+          : `HTTP ${status}`;
+      } catch (error) {
+        job.callback.lastError = error.message;
+      }
+    }
+
+    job.callback.status = 'failed';
+    console.error(`Callback for job ${job.id} failed: ${job.callback.lastError}`);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const job of this.finished.values()) {
+      if (job.expiresAt.getTime() <= now) {
+        this.remove(job);
+      }
+    }
+  }
+
+  status() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      pending: this.pending.length,
+      finished: this.finished.size,
+      finishedBytes: this.finishedBytes,
+      maxFinished: this.maxFinished,
+      maxResultBytes: this.maxResultBytes,
+      retention: this.retention
+    };
+  }
+}
+
+module.exports = { JobStore };
@@ -0,0 +1,185 @@
+// Pre-capture cleanup of cookie banners, newsletter modals and paywall overlays.
+//
+// Rules come from overlay-rules.json (plus OVERLAY_RULES_FILE if set). Each
+// rule has selectors to click (consent "accept" buttons) and selectors to
+// hide. Clicks run first so consent managers can tear down their own UI;
+// anything still present is then hidden and page scroll locks are lifted.
+
+const fs = require('fs');
+const path = require('path');
+const { parseBoolean } = require('./params');
+
+const SCROLL_LOCK_CLASSES = ['modal-open', 'no-scroll', 'noscroll', 'overflow-hidden', 'scroll-lock', 'tp-modal-open', 'didomi-popup-open'];
+const CLICK_SETTLE_MS = 500;
+const MAX_USER_SELECTORS = 50;
+
+function loadRules() {
+  const rules = JSON.parse(fs.readFileSync(path.join(__dirname, 'overlay-rules.json'), 'utf8'));
+  if (process.env.OVERLAY_RULES_FILE) {
+    rules.push(...JSON.parse(fs.readFileSync(process.env.OVERLAY_RULES_FILE, 'utf8')));
+  }
+  return rules;
+}
+
+const RULES = loadRules();
+
+function parseSelectorList(value, name) {
+  if (value === undefined || value === '') return [];
+  const selectors = Array.isArray(value) ? value.map(String) : String(value).split(',');
+  const list = selectors.map(selector => selector.trim()).filter(Boolean);
+  if (list.length > MAX_USER_SELECTORS) {
+    throw new Error(`${name} may contain at most ${MAX_USER_SELECTORS} selectors`);
+  }
+  return list;
+}
+
+// Validate overlay parameters, throwing on invalid values
+function getOverlayOptions(params) {
+  return {
+    enabled: parseBoolean(params.dismissOverlays, true),
+    fixedOverlays: parseBoolean(params.hideFixedOverlays, true),
+    hide: parseSelectorList(params.hideSelectors, 'hideSelectors'),
+    click: parseSelectorList(params.clickSelectors, 'clickSelectors')
+  };
+}
+
+function buildRules(options) {
+  const rules = RULES.slice();
+  if (options.click.length || options.hide.length) {
+    rules.push({ name: 'request', click: options.click, hide: options.hide });
+  }
+  return rules;
+}
+
+// Click every visible element matching a rule's click selectors
+function clickPhase(page, rules) {
+  return page.evaluate((rules) => {
+    const invalid = [];
+    const query = (selector) => {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch (error) {
+        invalid.push(selector);
+        return [];
+      }
+    };
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+
+    const clicked = {};
+    for (const rule of rules) {
+      for (const selector of rule.click || []) {
+        for (const el of query(selector)) {
+          if (!isVisible(el)) continue;
+          el.click();
+          clicked[rule.name] = (clicked[rule.name] || 0) + 1;
+        }
+      }
+    }
+    return { clicked, invalid };
+  }, rules);
+}
+
+// Hide remaining overlays and lift scroll locks
+function hidePhase(page, rules, fixedOverlays, scrollLockClasses) {
+  return page.evaluate((rules, fixedOverlays, scrollLockClasses) => {
+    const invalid = [];
+    const hide = (el) => el.style.setProperty('display', 'none', 'important');
+    const query = (selector) => {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch (error) {
+        invalid.push(selector);
+        return [];
+      }
+    };
+
+    const hidden = {};
+    for (const rule of rules) {
+      for (const selector of rule.hide || []) {
+        for (const el of query(selector)) {
+          if (getComputedStyle(el).display === 'none') continue;
+          hide(el);
+          hidden[rule.name] = (hidden[rule.name] || 0) + 1;
+        }
+      }
+    }
+
+    // Fixed elements stacked above the page and covering most of the viewport
+    if (fixedOverlays) {
+      const viewportArea = window.innerWidth * window.innerHeight;
+      for (const el of document.body.querySelectorAll('*')) {
+        const style = getComputedStyle(el);
+        if (style.position !== 'fixed' || style.display === 'none') continue;
+        if ((parseInt(style.zIndex, 10) || 0) < 100) continue;
+
+        const rect = el.getBoundingClientRect();
+        const visibleWidth = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+        const visibleHeight = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+        if (visibleWidth * visibleHeight >= viewportArea * 0.5) {
+          hide(el);
+          hidden['fixed-overlay'] = (hidden['fixed-overlay'] || 0) + 1;
+        }
+      }
+    }
+
+    let scrollLockRemoved = false;
+    for (const el of [document.documentElement, document.body]) {
+      const style = getComputedStyle(el);
+      if (style.overflow === 'hidden' || style.overflowY === 'hidden' || style.position === 'fixed') {
+        el.style.setProperty('overflow', 'visible', 'important');
+        el.style.setProperty('position', 'static', 'important');
+        scrollLockRemoved = true;
+      }
+      for (const className of scrollLockClasses) {
+        if (el.classList.contains(className)) {
+          el.classList.remove(className);
+          scrollLockRemoved = true;
+        }
+      }
+    }
+
+    return { hidden, invalid, scrollLockRemoved };
+  }, rules, fixedOverlays, scrollLockClasses);
+}
+
+// Run the cleanup and report which rules fired
+async function dismissOverlays(page, options) {
+  const report = { rules: [], scrollLockRemoved: false, invalidSelectors: [] };
+  if (!options.enabled) return report;
+
+  const rules = buildRules(options);
+  const clicks = await clickPhase(page, rules);
+  if (Object.keys(clicks.clicked).length) {
+    await new Promise(resolve => setTimeout(resolve, CLICK_SETTLE_MS));
+  }
+
+  let hides;
+  try {
+    hides = await hidePhase(page, rules, options.fixedOverlays, SCROLL_LOCK_CLASSES);
+  } catch (error) {
+    // A consent button may have reloaded the page; clean up the new document instead
+    if (!/Execution context was destroyed/.test(error.message)) throw error;
+    await page.waitForNavigation({ waitUntil: 'load', timeout: 10000 }).catch(() => {});
+    hides = await hidePhase(page, rules, options.fixedOverlays, SCROLL_LOCK_CLASSES);
+  }
+
+  const names = new Set([...Object.keys(clicks.clicked), ...Object.keys(hides.hidden)]);
+  report.rules = [...names].map(name => ({
+    name,
+    clicked: clicks.clicked[name] || 0,
+    hidden: hides.hidden[name] || 0
+  }));
+  report.scrollLockRemoved = hides.scrollLockRemoved;
+  report.invalidSelectors = [...new Set([...clicks.invalid, ...hides.invalid])];
+  return report;
+}
+
+function reportHeader(report) {
+  return report.rules.map(rule => rule.name).join(', ') || 'none';
+}
+
+module.exports = { getOverlayOptions, dismissOverlays, reportHeader };
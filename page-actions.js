@@ -0,0 +1,232 @@
+// Declarative page actions run after the page has loaded and before
+// Readability or capture: click, type, select, hover, scroll to the bottom,
+// press a key, wait for a selector, evaluate a snippet or set attributes.
+//
+// Every step has its own timeout and is reported individually. A failing
+// step aborts the run with an ActionError carrying the report so far, unless
+// the step is marked optional.
+
+const { parseBoolean, parseInteger, parseJson } = require('./params');
+
+const ACTIONS = ['click', 'type', 'select', 'hover', 'scrollToBottom', 'press', 'waitForSelector', 'evaluate', 'setAttribute'];
+const MAX_ACTIONS = 50;
+const MAX_SCRIPT_LENGTH = 10000;
+const MAX_RESULT_LENGTH = 2000;
+const DEFAULT_TIMEOUT = 10000;
+
+class ActionError extends Error {
+  constructor(step, message, report) {
+    super(message);
+    this.name = 'ActionError';
+    this.step = step;
+    this.report = report;
+  }
+}
+
+function requireString(step, index, field) {
+  if (step[field] === undefined || step[field] === '') {
+    throw new Error(`Action ${index} (${step.action}) needs ${field}`);
+  }
+  return String(step[field]);
+}
+
+// Validate the action list, throwing on invalid values
+function getActions(value) {
+  const actions = parseJson(value, 'actions');
+  if (actions === undefined) return [];
+  if (!Array.isArray(actions)) {
+    throw new Error('actions must be an array of { action, ... } objects');
+  }
+  if (actions.length > MAX_ACTIONS) {
+    throw new Error(`actions may contain at most ${MAX_ACTIONS} steps`);
+  }
+
+  return actions.map((step, index) => {
+    if (!step || !ACTIONS.includes(step.action)) {
+      throw new Error(`Action ${index} needs an action: ${ACTIONS.join(', ')}`);
+    }
+    const result = {
+      action: step.action,
+      timeout: parseInteger(step.timeout, `action ${index} timeout`, DEFAULT_TIMEOUT, 100, 60000),
+      optional: parseBoolean(step.optional, false)
+    };
+
+    switch (step.action) {
+      case 'click':
+        result.selector = requireString(step, index, 'selector');
+        result.navigation = parseBoolean(step.navigation, false);
+        break;
+      case 'type':
+        result.selector = requireString(step, index, 'selector');
+        result.text = requireString(step, index, 'text');
+        result.delay = parseInteger(step.delay, `action ${index} delay`, 0, 0, 1000);
+        break;
+      case 'select': {
+        result.selector = requireString(step, index, 'selector');
+        const values = step.values !== undefined ? step.values : step.value;
+        if (values === undefined) throw new Error(`Action ${index} (select) needs value or values`);
+        result.values = (Array.isArray(values) ? values : [values]).map(String);
+        break;
+      }
+      case 'hover':
+        result.selector = requireString(step, index, 'selector');
+        break;
+      case 'scrollToBottom':
+        result.distance = parseInteger(step.distance, `action ${index} distance`, 0, 0, 10000);
+        result.delay = parseInteger(step.delay, `action ${index} delay`, 100, 0, 5000);
+        break;
+      case 'press':
+        result.key = requireString(step, index, 'key');
+        if (step.selector) result.selector = String(step.selector);
+        break;
+      case 'waitForSelector':
+        result.selector = requireString(step, index, 'selector');
+        result.visible = parseBoolean(step.visible, false);
+        result.hidden = parseBoolean(step.hidden, false);
+        break;
+      case 'evaluate':
+        result.script = requireString(step, index, 'script');
+        if (result.script.length > MAX_SCRIPT_LENGTH) {
+          throw new Error(`Action ${index} (evaluate) script must be at most ${MAX_SCRIPT_LENGTH} characters`);
+        }
+        break;
+      case 'setAttribute':
+        result.selector = requireString(step, index, 'selector');
+        result.name = requireString(step, index, 'name');
+        // null removes the attribute
+        result.value = step.value === null ? null : String(step.value === undefined ? '' : step.value);
+        break;
+    }
+    return result;
+  });
+}
+
+// Reject with a TimeoutError-like error if fn takes longer than timeout
+function withTimeout(fn, timeout, description) {
+  let timer;
+  return Promise.race([
+    fn(),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${description} timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
+      }, timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Scroll down in steps until the page stops growing, so lazy content loads
+function scrollToBottom(page, step) {
+  return page.evaluate(async (distance, delay, timeout) => {
+    const deadline = Date.now() + timeout;
+    const stepSize = distance || window.innerHeight;
+    let scrolls = 0;
+    while (Date.now() < deadline) {
+      const before = document.scrollingElement.scrollTop;
+      window.scrollBy(0, stepSize);
+      scrolls++;
+      await new Promise(resolve => setTimeout(resolve, delay));
+      const atBottom = window.innerHeight + document.scrollingElement.scrollTop >= document.scrollingElement.scrollHeight - 1;
+      if (atBottom && document.scrollingElement.scrollTop === before) break;
+    }
+    window.scrollTo(0, 0);
+    return { scrolls, height: document.scrollingElement.scrollHeight };
+  }, step.distance, step.delay, step.timeout);
+}
+
+// Run one step, resolving with extra report fields
+async function runAction(page, step) {
+  const waitOptions = { timeout: step.timeout };
+  switch (step.action) {
+    case 'click':
+      await page.waitForSelector(step.selector, { visible: true, ...waitOptions });
+      await Promise.all([
+        step.navigation ? page.waitForNavigation({ waitUntil: 'networkidle2', ...waitOptions }) : null,
+        page.click(step.selector)
+      ]);
+      return {};
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, ...waitOptions });
+      await withTimeout(() => page.type(step.selector, step.text, { delay: step.delay }), step.timeout, 'Typing');
+      return {};
+    case 'select': {
+      await page.waitForSelector(step.selector, waitOptions);
+      const selected = await page.select(step.selector, ...step.values);
+      if (!selected.length) {
+        throw new Error(`No option of "${step.selector}" matches ${step.values.join(', ')}`);
+      }
+      return { selected };
+    }
+    case 'hover':
+      await page.waitForSelector(step.selector, { visible: true, ...waitOptions });
+      await page.hover(step.selector);
+      return {};
+    case 'scrollToBottom':
+      return scrollToBottom(page, step);
+    case 'press':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, waitOptions);
+        await page.focus(step.selector);
+      }
+      await page.keyboard.press(step.key);
+      return {};
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { visible: step.visible, hidden: step.hidden, ...waitOptions });
+      return {};
+    case 'evaluate': {
+      // The snippet runs as an async function body, so it can await and `return` a value.
+      // Passing a string keeps it working on pages whose CSP forbids eval.
+      const result = await withTimeout(
+        () => page.evaluate(`(async () => {\n${step.script}\n})()`),
+        step.timeout,
+        'Script'
+      );
+      if (result === undefined) return {};
+      const json = JSON.stringify(result);
+      return { result: json && json.length > MAX_RESULT_LENGTH ? `${json.slice(0, MAX_RESULT_LENGTH)}...` : result };
+    }
+    case 'setAttribute': {
+      await page.waitForSelector(step.selector, waitOptions);
+      const count = await page.$$eval(step.selector, (elements, name, value) => {
+        for (const el of elements) {
+          if (value === null) el.removeAttribute(name);
+          else el.setAttribute(name, value);
+        }
+        return elements.length;
+      }, step.name, step.value);
+      return { count };
+    }
+  }
+}
+
+// Run the steps in order and report each one
+async function runActions(page, actions) {
+  const report = [];
+  for (const [index, step] of actions.entries()) {
+    const start = Date.now();
+    const entry = { index, action: step.action };
+    report.push(entry);
+    try {
+      Object.assign(entry, await runAction(page, step));
+      entry.status = 'ok';
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      if (!step.optional) {
+        entry.duration = Date.now() - start;
+        throw new ActionError(index, `Action ${index} (${step.action}) failed: ${error.message}`, report);
+      }
+    }
+    entry.duration = Date.now() - start;
+  }
+  return report;
+}
+
+// e.g. "4 ok, 1 failed"
+function reportHeader(report) {
+  const failed = report.filter(entry => entry.status === 'failed').length;
+  return `${report.length - failed} ok, ${failed} failed`;
+}
+
+module.exports = { ActionError, getActions, runActions, reportHeader };
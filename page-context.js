@@ -0,0 +1,199 @@
+// Request-scoped browsing context: user agent, cookies, extra headers, HTTP
+// basic auth, locale, timezone and geolocation. Applied to a page that lives
+// in its own incognito browser context (see BrowserManager.newPage). A named
+// session, if given, is restored by the server before this context is applied.
+//
+// Extra headers and basic auth credentials are the caller's and go only to the
+// target URL's origin, never to third-party subresources or to redirects
+// elsewhere; see originHeaders().
+
+const { parseNumber, parseJson } = require('./params');
+const { parseSessionName } = require('./session-store');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Headers Chrome manages itself or that have dedicated options
+const FORBIDDEN_HEADERS = ['host', 'cookie', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'accept-language', 'user-agent'];
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const COOKIE_SAME_SITE = ['Strict', 'Lax', 'None'];
+const MAX_COOKIES = 100;
+const MAX_HEADERS = 50;
+
+function parseHeaders(value) {
+  const headers = parseJson(value, 'headers');
+  if (headers === undefined) return {};
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('headers must be an object of header names to values');
+  }
+
+  const entries = Object.entries(headers);
+  if (entries.length > MAX_HEADERS) {
+    throw new Error(`headers may contain at most ${MAX_HEADERS} entries`);
+  }
+
+  const result = {};
+  for (const [name, headerValue] of entries) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid header name "${name}"`);
+    }
+    if (FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+      throw new Error(`Header "${name}" cannot be set directly; use the dedicated option instead`);
+    }
+    if (/[\r\n]/.test(String(headerValue))) {
+      throw new Error(`Invalid value for header "${name}"`);
+    }
+    result[name.toLowerCase()] = String(headerValue);
+  }
+  return result;
+}
+
+function parseCookies(value) {
+  const cookies = parseJson(value, 'cookies');
+  if (cookies === undefined) return [];
+  if (!Array.isArray(cookies)) {
+    throw new Error('cookies must be an array of { name, value, domain, path, ... } objects');
+  }
+  if (cookies.length > MAX_COOKIES) {
+    throw new Error(`cookies may contain at most ${MAX_COOKIES} entries`);
+  }
+
+  return cookies.map((cookie, index) => {
+    if (!cookie || typeof cookie.name !== 'string' || cookie.value === undefined) {
+      throw new Error(`Cookie ${index} needs a name and a value`);
+    }
+    const result = { name: cookie.name, value: String(cookie.value) };
+    for (const field of ['domain', 'path', 'url']) {
+      if (cookie[field] !== undefined) result[field] = String(cookie[field]);
+    }
+    for (const field of ['secure', 'httpOnly']) {
+      if (cookie[field] !== undefined) result[field] = Boolean(cookie[field]);
+    }
+    if (cookie.expires !== undefined) {
+      result.expires = parseNumber(cookie.expires, `cookie ${index} expires`, undefined, 0, 1e11);
+    }
+    if (cookie.sameSite !== undefined) {
+      if (!COOKIE_SAME_SITE.includes(cookie.sameSite)) {
+        throw new Error(`Cookie ${index} sameSite must be one of ${COOKIE_SAME_SITE.join(', ')}`);
+      }
+      result.sameSite = cookie.sameSite;
+    }
+    return result;
+  });
+}
+
+function parseHttpAuth(params) {
+  const auth = parseJson(params.httpAuth, 'httpAuth');
+  if (auth && typeof auth === 'object') {
+    if (typeof auth.username !== 'string' || typeof auth.password !== 'string') {
+      throw new Error('httpAuth needs a username and a password');
+    }
+    return { username: auth.username, password: auth.password };
+  }
+  return null;
+}
+
+function parseGeolocation(value) {
+  const geolocation = parseJson(value, 'geolocation');
+  if (geolocation === undefined) return null;
+  if (!geolocation || typeof geolocation !== 'object') {
+    throw new Error('geolocation must be an object with latitude and longitude');
+  }
+  return {
+    latitude: parseNumber(geolocation.latitude, 'latitude', undefined, -90, 90),
+    longitude: parseNumber(geolocation.longitude, 'longitude', undefined, -180, 180),
+    accuracy: parseNumber(geolocation.accuracy, 'accuracy', 100, 0, 100000)
+  };
+}
+
+// Validate context parameters, throwing on invalid values
+function getContextOptions(params) {
+  const locale = params.locale ? String(params.locale) : undefined;
+  if (locale && !LOCALE_PATTERN.test(locale)) {
+    throw new Error(`Invalid locale "${locale}". Use a BCP 47 tag such as en-US`);
+  }
+
+  const timezone = params.timezone ? String(params.timezone) : undefined;
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Invalid timezone "${timezone}". Use an IANA name such as Europe/Paris`);
+    }
+  }
+
+  const userAgent = params.userAgent ? String(params.userAgent) : DEFAULT_USER_AGENT;
+  if (userAgent.length > 512 || /[\r\n]/.test(userAgent)) {
+    throw new Error('Invalid userAgent');
+  }
+
+  const geolocation = parseGeolocation(params.geolocation);
+  if (geolocation && (geolocation.latitude === undefined || geolocation.longitude === undefined)) {
+    throw new Error('geolocation needs both latitude and longitude');
+  }
+
+  return {
+    userAgent,
+    headers: parseHeaders(params.headers),
+    cookies: parseCookies(params.cookies),
+    httpAuth: parseHttpAuth(params),
+    locale,
+    acceptLanguage: params.acceptLanguage ? String(params.acceptLanguage).replace(/[\r\n]/g, '') : undefined,
+    timezone,
+    geolocation,
+    session: parseSessionName(params.session)
+  };
+}
+
+// Headers to add to the page's requests to url's origin: the extra headers and
+// the basic auth credentials, sent up front rather than on a challenge so no
+// other host is ever answered. Returns a function mapping a request URL to its
+// headers, null for other origins, or null when there is nothing to add.
+function originHeaders(url, options) {
+  const headers = { ...options.headers };
+  if (options.httpAuth) {
+    const { username, password } = options.httpAuth;
+    headers.authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (!Object.keys(headers).length) return null;
+
+  const origin = new URL(url).origin;
+  return (requestUrl) => {
+    try {
+      return new URL(requestUrl).origin === origin ? headers : null;
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+async function applyContext(page, url, options) {
+  await page.setUserAgent(options.userAgent);
+
+  const acceptLanguage = options.acceptLanguage || (options.locale && `${options.locale},${options.locale.split('-')[0]};q=0.9`);
+  if (acceptLanguage) {
+    await page.setExtraHTTPHeaders({ 'accept-language': acceptLanguage });
+  }
+
+  if (options.locale) {
+    const session = await page.createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: options.locale });
+  }
+
+  if (options.timezone) {
+    await page.emulateTimezone(options.timezone);
+  }
+
+  if (options.geolocation) {
+    await page.browserContext().overridePermissions(new URL(url).origin, ['geolocation']);
+    await page.setGeolocation(options.geolocation);
+  }
+
+  if (options.cookies.length) {
+    // Cookies without a domain or url apply to the target URL
+    await page.setCookie(...options.cookies.map(cookie => (cookie.domain || cookie.url ? cookie : { ...cookie, url })));
+  }
+}
+
+module.exports = { getContextOptions, applyContext, originHeaders };
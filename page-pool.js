@@ -0,0 +1,121 @@
+// Bounded pool of browser pages with a FIFO wait queue.
+//
+// At most `maxPages` pages are open at once; further jobs wait in a queue of
+// at most `maxQueue` entries for up to `queueTimeout` ms before being rejected.
+
+class PoolError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'PoolError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class PagePool {
+  constructor({ createPage, shouldRetry = () => false, retries = 1, maxPages = 4, maxQueue = 20, queueTimeout = 30000 }) {
+    this.createPage = createPage;
+    this.shouldRetry = shouldRetry;
+    this.retries = retries;
+    this.maxPages = maxPages;
+    this.maxQueue = maxQueue;
+    this.queueTimeout = queueTimeout;
+
+    this.active = new Map();
+    this.queue = [];
+    this.nextId = 1;
+    this.completed = 0;
+    this.rejected = 0;
+    this.retried = 0;
+  }
+
+  retryAfterSeconds() {
+    return Math.max(1, Math.ceil(this.queueTimeout / 1000));
+  }
+
+  // Wait for a free slot, resolving with the job record
+  acquire(meta) {
+    const job = { id: this.nextId++, ...meta, queuedAt: new Date() };
+
+    if (this.active.size < this.maxPages) {
+      return Promise.resolve(this.start(job));
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected++;
+      return Promise.reject(new PoolError('Too many queued requests', 429, this.retryAfterSeconds()));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { job, resolve, reject };
+      entry.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        this.rejected++;
+        reject(new PoolError('Timed out waiting for a free browser page', 503, this.retryAfterSeconds()));
+      }, this.queueTimeout);
+      this.queue.push(entry);
+    });
+  }
+
+  start(job) {
+    job.startedAt = new Date();
+    this.active.set(job.id, job);
+    return job;
+  }
+
+  release(job) {
+    this.active.delete(job.id);
+    this.completed++;
+
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve(this.start(next.job));
+    }
+  }
+
+  // Run fn with a fresh page, closing it and freeing the slot afterwards.
+  // Failures matching shouldRetry (e.g. a browser crash) are retried on a new page.
+  async run(meta, fn) {
+    const job = await this.acquire(meta);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let page;
+        try {
+          page = await this.createPage();
+          return await fn(page);
+        } catch (error) {
+          if (attempt >= this.retries || !this.shouldRetry(error)) throw error;
+          this.retried++;
+          console.warn(`Retrying ${job.type || 'job'} ${job.id} after error: ${error.message}`);
+        } finally {
+          if (page) await page.close().catch(() => {});
+        }
+      }
+    } finally {
+      this.release(job);
+    }
+  }
+
+  // Counters, plus the active and queued jobs with their URLs when includeJobs is set
+  status(includeJobs = true) {
+    const describe = ({ id, type, url, queuedAt, startedAt }) => ({ id, type, url, queuedAt, startedAt });
+    const status = {
+      maxPages: this.maxPages,
+      maxQueue: this.maxQueue,
+      queueTimeout: this.queueTimeout,
+      active: this.active.size,
+      queued: this.queue.length,
+      completed: this.completed,
+      rejected: this.rejected,
+      retried: this.retried
+    };
+    if (includeJobs) {
+      status.activeJobs = [...this.active.values()].map(describe);
+      status.queuedJobs = this.queue.map(entry => describe(entry.job));
+    }
+    return status;
+  }
+}
+
+module.exports = { PagePool, PoolError };
@@ -0,0 +1,55 @@
+// Helpers for reading and validating request parameters. Values may come from
+// the query string (always strings) or a JSON body (typed), so both are accepted.
+
+// Accept parameters from the query string and, for POST requests, the JSON body
+function getParams(req) {
+  if (req.method === 'POST' && req.body && typeof req.body === 'object') {
+    return { ...req.query, ...req.body };
+  }
+  return req.query;
+}
+
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  if (typeof value === 'boolean') return value;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+function parseNumber(value, name, defaultValue, min, max) {
+  if (value === undefined || value === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Invalid ${name} "${value}". Must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseInteger(value, name, defaultValue, min, max) {
+  const number = parseNumber(value, name, defaultValue, min, max);
+  if (number !== undefined && !Number.isInteger(number)) {
+    throw new Error(`Invalid ${name} "${value}". Must be an integer`);
+  }
+  return number;
+}
+
+function parseChoice(value, name, defaultValue, choices) {
+  if (value === undefined || value === '') return defaultValue;
+  const choice = choices.find(c => c.toLowerCase() === String(value).toLowerCase());
+  if (!choice) {
+    throw new Error(`Invalid ${name} "${value}". Allowed: ${choices.join(', ')}`);
+  }
+  return choice;
+}
+
+// GET requests can only pass structured values as JSON strings
+function parseJson(value, name) {
+  if (typeof value !== 'string') return value;
+  if (value === '') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: expected JSON`);
+  }
+}
+
+module.exports = { getParams, parseBoolean, parseNumber, parseInteger, parseChoice, parseJson };
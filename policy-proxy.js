@@ -0,0 +1,186 @@
+// Local HTTP proxy through which Chrome reaches the network.
+//
+// Every plain HTTP request and every CONNECT tunnel (HTTPS, ws:// and wss://)
+// is checked against the URL policy's host rules, then connected to the exact
+// address the check resolved, so the host cannot resolve differently for
+// Chrome than it did for the check.
+//
+// Chrome reports every failed tunnel as ERR_TUNNEL_CONNECTION_FAILED, and a
+// failed plain HTTP request as whatever response the proxy sends, which carries
+// the PROXY_ERROR_HEADER. Either way failure(url) tells why the proxy could not
+// connect: the PolicyError that blocked the host or the socket error.
+
+const http = require('http');
+const net = require('net');
+
+// Headers meant for the proxy rather than the target
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization'];
+
+// Marks responses the proxy made up itself, valued with the rule or error code
+const PROXY_ERROR_HEADER = 'x-proxy-error';
+
+// Failed connections are remembered this long, for at most this many hosts
+const FAILURE_TTL = 60000;
+const MAX_FAILURES = 1000;
+
+function hostKey(hostname, port) {
+  return `${hostname.replace(/^\[|\]$/g, '').toLowerCase()}:${port}`;
+}
+
+class PolicyProxy {
+  constructor(policy) {
+    this.policy = policy;
+    this.port = null;
+    this.blocked = 0;
+    this.failures = new Map();
+
+    this.server = http.createServer((req, res) => this.forward(req, res));
+    this.server.on('connect', (req, socket, head) => this.tunnel(req, socket, head));
+  }
+
+  // Listen on the loopback interface; resolves with the port
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  // Chrome flags sending all traffic, loopback included, through the proxy
+  browserArgs() {
+    return [`--proxy-server=http://127.0.0.1:${this.port}`, '--proxy-bypass-list=<-loopback>'];
+  }
+
+  // Remember why connecting to hostname:port failed
+  fail(hostname, port, error) {
+    const key = hostKey(hostname, port);
+    this.failures.delete(key);
+    this.failures.set(key, { error, expiresAt: Date.now() + FAILURE_TTL });
+    if (this.failures.size > MAX_FAILURES) {
+      this.failures.delete(this.failures.keys().next().value);
+    }
+  }
+
+  // Why the proxy last failed to connect to url's host and port, if it did
+  // lately: a PolicyError or a socket error with its code. Otherwise null.
+  failure(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    const secure = parsed.protocol === 'https:' || parsed.protocol === 'wss:';
+    const key = hostKey(parsed.hostname, Number(parsed.port) || (secure ? 443 : 80));
+    const entry = this.failures.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.failures.delete(key);
+      return null;
+    }
+    return entry.error;
+  }
+
+  // The address to connect to for hostname; rejects with a PolicyError when blocked
+  async target(hostname, port) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    try {
+      const addresses = await this.policy.checkHost(host);
+      return addresses ? addresses[0] : host;
+    } catch (error) {
+      this.blocked++;
+      this.fail(host, port, error);
+      throw error;
+    }
+  }
+
+  // Plain HTTP requests, sent to the proxy in absolute form
+  async forward(req, res) {
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch (error) {
+      return res.writeHead(400).end();
+    }
+    if (url.protocol !== 'http:') {
+      return res.writeHead(400).end();
+    }
+
+    const port = Number(url.port) || 80;
+    let address;
+    try {
+      address = await this.target(url.hostname, port);
+    } catch (error) {
+      return res.writeHead(403, { 'Content-Type': 'text/plain', [PROXY_ERROR_HEADER]: error.rule }).end(error.message);
+    }
+
+    const headers = { ...req.headers };
+    PROXY_HEADERS.forEach(name => delete headers[name]);
+
+    const upstream = http.request({
+      host: address,
+      port,
+      method: req.method,
+      path: `${url.pathname}${url.search}`,
+      headers
+    }, (response) => {
+      res.writeHead(response.statusCode, response.rawHeaders);
+      response.pipe(res);
+    });
+    upstream.on('error', (error) => {
+      if (res.headersSent) return res.destroy();
+      this.fail(url.hostname, port, error);
+      res.writeHead(502, { 'Content-Type': 'text/plain', [PROXY_ERROR_HEADER]: error.code || 'error' }).end(error.message);
+    });
+    req.pipe(upstream);
+  }
+
+  // CONNECT host:port tunnels, used for HTTPS and WebSockets
+  async tunnel(req, socket, head) {
+    socket.on('error', () => {});
+
+    let url;
+    try {
+      url = new URL(`http://${req.url}`);
+    } catch (error) {
+      return socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    }
+
+    const port = Number(url.port) || 80;
+    let address;
+    try {
+      address = await this.target(url.hostname, port);
+    } catch (error) {
+      return socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    }
+
+    let connected = false;
+    const upstream = net.connect(port, address, () => {
+      connected = true;
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', (error) => {
+      if (connected) return socket.destroy();
+      this.fail(url.hostname, port, error);
+      socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+    });
+    socket.on('close', () => upstream.destroy());
+  }
+
+  status() {
+    return { port: this.port, blocked: this.blocked };
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = { PolicyProxy, PROXY_ERROR_HEADER };
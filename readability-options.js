@@ -0,0 +1,110 @@
+// Readability constructor options accepted from requests and site rules.
+//
+// Only options that were given are returned, so request values can override a
+// site rule's without the rule being overridden by defaults. Server-wide
+// defaults come from READABILITY_MAX_ELEMS, READABILITY_NB_TOP_CANDIDATES and
+// READABILITY_CHAR_THRESHOLD; when READABILITY_MAX_ELEMS is set, requests may
+// lower maxElemsToParse but not raise it.
+
+const { parseBoolean, parseInteger } = require('./params');
+
+const READABILITY_OPTIONS = [
+  'debug', 'maxElemsToParse', 'nbTopCandidates', 'charThreshold',
+  'classesToPreserve', 'keepClasses', 'disableJSONLD', 'allowedVideoHosts'
+];
+
+const DEFAULTS = {
+  maxElemsToParse: parseInt(process.env.READABILITY_MAX_ELEMS, 10) || 0,
+  nbTopCandidates: parseInt(process.env.READABILITY_NB_TOP_CANDIDATES, 10) || 5,
+  charThreshold: parseInt(process.env.READABILITY_CHAR_THRESHOLD, 10) || 500
+};
+
+const MAX_ELEMS_TO_PARSE = 1000000;
+const CLASS_NAME_PATTERN = /^[\w-]+$/;
+const MAX_CLASSES = 50;
+const VIDEO_HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const MAX_VIDEO_HOSTS = 50;
+
+// Debug log limits; Readability logs whole subtrees of HTML
+const MAX_DEBUG_ENTRIES = 500;
+const MAX_DEBUG_ENTRY_LENGTH = 1000;
+
+function parseClassList(value) {
+  const classes = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (classes.length > MAX_CLASSES) {
+    throw new Error(`classesToPreserve may contain at most ${MAX_CLASSES} class names`);
+  }
+  const invalid = classes.find(name => !CLASS_NAME_PATTERN.test(name));
+  if (invalid) {
+    throw new Error(`Invalid class name "${invalid}" in classesToPreserve`);
+  }
+  return classes;
+}
+
+// Readability's allowedVideoRegex, built from a list of host names rather than
+// taken from the caller: the pattern runs in the page against every embed URL,
+// and a caller's pattern could backtrack for minutes. Like Readability's own
+// pattern it matches "//host" or "//www.host" anywhere in a URL.
+function parseVideoHosts(value) {
+  const hosts = (Array.isArray(value) ? value : String(value).split(','))
+    .map(host => String(host).trim().toLowerCase())
+    .filter(Boolean);
+  if (!hosts.length || hosts.length > MAX_VIDEO_HOSTS) {
+    throw new Error(`allowedVideoHosts must contain 1 to ${MAX_VIDEO_HOSTS} host names`);
+  }
+  const invalid = hosts.find(host => !VIDEO_HOST_PATTERN.test(host));
+  if (invalid) {
+    throw new Error(`Invalid host "${invalid}" in allowedVideoHosts`);
+  }
+  // Sent to the page as a string and compiled there
+  return `//(www\\.)?(${hosts.map(host => host.replace(/\./g, '\\.')).join('|')})(?![\\w.-])`;
+}
+
+// Validate the Readability options among params, throwing on invalid values.
+// names limits which options are accepted.
+function getReadabilityOptions(params, names = READABILITY_OPTIONS) {
+  const given = name => names.includes(name) && params[name] !== undefined && params[name] !== '';
+  const options = {};
+
+  if (given('debug')) {
+    options.debug = parseBoolean(params.debug, false);
+  }
+  if (given('maxElemsToParse')) {
+    const limit = DEFAULTS.maxElemsToParse || MAX_ELEMS_TO_PARSE;
+    options.maxElemsToParse = parseInteger(params.maxElemsToParse, 'maxElemsToParse', undefined, 1, limit);
+  }
+  if (given('nbTopCandidates')) {
+    options.nbTopCandidates = parseInteger(params.nbTopCandidates, 'nbTopCandidates', undefined, 1, 50);
+  }
+  if (given('charThreshold')) {
+    options.charThreshold = parseInteger(params.charThreshold, 'charThreshold', undefined, 1, 100000);
+  }
+  if (given('classesToPreserve')) {
+    options.classesToPreserve = parseClassList(params.classesToPreserve);
+  }
+  if (given('keepClasses')) {
+    options.keepClasses = parseBoolean(params.keepClasses, false);
+  }
+  if (given('disableJSONLD')) {
+    options.disableJSONLD = parseBoolean(params.disableJSONLD, false);
+  }
+  if (given('allowedVideoHosts')) {
+    options.allowedVideoRegex = parseVideoHosts(params.allowedVideoHosts);
+  }
+  return options;
+}
+
+// Options for one parse: server defaults, then the site rule's, then the request's
+function buildReadabilityOptions(ruleOptions = {}, requestOptions = {}) {
+  return { ...DEFAULTS, ...ruleOptions, ...requestOptions };
+}
+
+module.exports = {
+  READABILITY_OPTIONS,
+  MAX_DEBUG_ENTRIES,
+  MAX_DEBUG_ENTRY_LENGTH,
+  getReadabilityOptions,
+  buildReadabilityOptions
+};
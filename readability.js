@@ -55,6 +55,10 @@ function Readability(doc, options) {
   this._disableJSONLD = !!options.disableJSONLD;
   this._allowedVideoRegex = options.allowedVideoRegex || this.REGEXPS.videos;
 
+  // Record candidate scores and removals for debugging, see _traceNode()
+  this._trace = options.trace ? { attempts: [], selectedAttempt: null } : null;
+  this._traceAttempt = null;
+
   // Start with all flags set
   this._flags = this.FLAG_STRIP_UNLIKELYS |
                 this.FLAG_WEIGHT_CLASSES |
@@ -120,8 +124,9 @@ Readability.prototype = {
   // All of the regular expressions in use within readability.
   // Defined up here so we don't instantiate them repeatedly in loops.
   REGEXPS: {
-    // NOTE: These two regular expressions are duplicated in
-    // Readability-readerable.js. Please keep both copies in sync.
+    // NOTE: These two regular expressions are also used by
+    // isProbablyReaderable() at the end of this file, and nextLink, prevLink
+    // and extraneous by findNextPageLink().
     unlikelyCandidates: /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i,
     okMaybeItsACandidate: /and|article|body|column|content|main|shadow/i,
 
@@ -144,10 +149,18 @@ Readability.prototype = {
     // Commas as used in Latin, Sindhi, Chinese and various other scripts.
     // see: https://en.wikipedia.org/wiki/Comma#Comma_variants
     commas: /\u002C|\u060C|\uFE50|\uFE10|\uFE11|\u2E41|\u2E34|\u2E32|\uFF0C/g,
+    // Kana, CJK ideographs and Hangul, which are counted per character rather than per word
+    cjkCharacters: /[\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]/g,
     // See: https://schema.org/Article
     jsonLdArticleTypes: /^Article|AdvertiserContentArticle|NewsArticle|AnalysisNewsArticle|AskPublicNewsArticle|BackgroundNewsArticle|OpinionNewsArticle|ReportageNewsArticle|ReviewNewsArticle|Report|SatiricalArticle|ScholarlyArticle|MedicalScholarlyArticle|SocialMediaPosting|BlogPosting|LiveBlogPosting|DiscussionForumPosting|TechArticle|APIReference$/
   },
 
+  // Average adult reading speed, used for the estimated reading time
+  WORDS_PER_MINUTE: 230,
+
+  // Attribute identifying traced nodes in the document that was cloned
+  TRACE_ATTRIBUTE: "data-readability-trace",
+
   UNLIKELY_ROLES: [ "menu", "menubar", "complementary", "navigation", "alert", "alertdialog", "dialog" ],
 
   DIV_TO_P_ELEMS: new Set([ "BLOCKQUOTE", "DL", "DIV", "IMG", "OL", "P", "PRE", "TABLE", "UL" ]),
@@ -787,7 +800,52 @@ Readability.prototype = {
         break;
     }
 
-    node.readability.contentScore += this._getClassWeight(node);
+    var classWeight = this._getClassWeight(node);
+    if (this._trace) {
+      node.readability.tagScore = node.readability.contentScore;
+      node.readability.classWeight = classWeight;
+    }
+    node.readability.contentScore += classWeight;
+  },
+
+  /**
+   * Describe a node for the trace. The id comes from TRACE_ATTRIBUTE, which
+   * the caller may set on every element before cloning the document so that
+   * traced nodes can be found in the original page.
+   *
+   * @param Element
+   * @return Object
+   */
+  _traceNode: function(node) {
+    return {
+      id: node.getAttribute ? node.getAttribute(this.TRACE_ATTRIBUTE) : null,
+      tag: node.tagName,
+      className: typeof node.className === "string" ? node.className : "",
+      elementId: node.id || "",
+      text: node.textContent.slice(0, 300).replace(this.REGEXPS.normalize, " ").trim().slice(0, 100)
+    };
+  },
+
+  /**
+   * Record that a node was removed, and why, in the current trace attempt.
+   *
+   * @param Element
+   * @param string stage the method that removed it
+   * @param string reason
+   * @param Object details optional measurements behind the decision
+   * @return void
+   */
+  _traceRemoval: function(node, stage, reason, details) {
+    if (!this._traceAttempt) {
+      return;
+    }
+    var entry = this._traceNode(node);
+    entry.stage = stage;
+    entry.reason = reason;
+    if (details) {
+      entry.details = details;
+    }
+    this._traceAttempt.removed.push(entry);
   },
 
   _removeAndGetNext: function(node) {
@@ -891,6 +949,22 @@ Readability.prototype = {
       this.log("Starting grabArticle loop");
       var stripUnlikelyCandidates = this._flagIsActive(this.FLAG_STRIP_UNLIKELYS);
 
+      if (this._trace) {
+        this._traceAttempt = {
+          flags: {
+            stripUnlikelys: stripUnlikelyCandidates,
+            weightClasses: this._flagIsActive(this.FLAG_WEIGHT_CLASSES),
+            cleanConditionally: this._flagIsActive(this.FLAG_CLEAN_CONDITIONALLY)
+          },
+          candidates: [],
+          topCandidates: [],
+          topCandidate: null,
+          textLength: null,
+          removed: []
+        };
+        this._trace.attempts.push(this._traceAttempt);
+      }
+
       // First, node prepping. Trash nodes that look cruddy (like ones with the
       // class name "comment", etc), and turn divs into P tags where they have been
       // used inappropriately (as in, where they contain no other block level elements.)
@@ -909,18 +983,21 @@ Readability.prototype = {
 
         if (!this._isProbablyVisible(node)) {
           this.log("Removing hidden node - " + matchString);
+          this._traceRemoval(node, "grabArticle", "hidden");
           node = this._removeAndGetNext(node);
           continue;
         }
 
         // User is not able to see elements applied with both "aria-modal = true" and "role = dialog"
         if (node.getAttribute("aria-modal") == "true" && node.getAttribute("role") == "dialog") {
+          this._traceRemoval(node, "grabArticle", "modal dialog");
           node = this._removeAndGetNext(node);
           continue;
         }
 
         // Check to see if this node is a byline, and remove it if it is.
         if (this._checkByline(node, matchString)) {
+          this._traceRemoval(node, "grabArticle", "byline");
           node = this._removeAndGetNext(node);
           continue;
         }
@@ -928,6 +1005,7 @@ Readability.prototype = {
         if (shouldRemoveTitleHeader && this._headerDuplicatesTitle(node)) {
           this.log("Removing header: ", node.textContent.trim(), this._articleTitle.trim());
           shouldRemoveTitleHeader = false;
+          this._traceRemoval(node, "grabArticle", "header duplicates title");
           node = this._removeAndGetNext(node);
           continue;
         }
@@ -941,12 +1019,14 @@ Readability.prototype = {
               node.tagName !== "BODY" &&
               node.tagName !== "A") {
             this.log("Removing unlikely candidate - " + matchString);
+            this._traceRemoval(node, "grabArticle", "unlikely candidate");
             node = this._removeAndGetNext(node);
             continue;
           }
 
           if (this.UNLIKELY_ROLES.includes(node.getAttribute("role"))) {
             this.log("Removing content with role " + node.getAttribute("role") + " - " + matchString);
+            this._traceRemoval(node, "grabArticle", "unlikely role " + node.getAttribute("role"));
             node = this._removeAndGetNext(node);
             continue;
           }
@@ -1071,7 +1151,19 @@ Readability.prototype = {
         // Scale the final candidates score based on link density. Good content
         // should have a relatively small link density (5% or less) and be mostly
         // unaffected by this operation.
-        var candidateScore = candidate.readability.contentScore * (1 - this._getLinkDensity(candidate));
+        var candidateLinkDensity = this._getLinkDensity(candidate);
+        var candidateScore = candidate.readability.contentScore * (1 - candidateLinkDensity);
+
+        if (this._trace) {
+          var traced = this._traceNode(candidate);
+          traced.tagScore = candidate.readability.tagScore;
+          traced.classWeight = candidate.readability.classWeight;
+          traced.paragraphScore = candidate.readability.contentScore - traced.tagScore - traced.classWeight;
+          traced.linkDensity = candidateLinkDensity;
+          traced.score = candidateScore;
+          this._traceAttempt.candidates.push(traced);
+        }
+
         candidate.readability.contentScore = candidateScore;
 
         this.log("Candidate:", candidate, "with score " + candidateScore);
@@ -1088,6 +1180,12 @@ Readability.prototype = {
         }
       }
 
+      if (this._trace) {
+        this._traceAttempt.topCandidates = topCandidates.map(function(node) {
+          return node.getAttribute(this.TRACE_ATTRIBUTE);
+        }, this);
+      }
+
       var topCandidate = topCandidates[0] || null;
       var neededToCreateTopCandidate = false;
       var parentOfTopCandidate;
@@ -1179,6 +1277,11 @@ Readability.prototype = {
       // Now that we have the top candidate, look through its siblings for content
       // that might also be related. Things like preambles, content split by ads
       // that we removed, etc.
+      if (this._trace) {
+        this._traceAttempt.topCandidate = this._traceNode(topCandidate);
+        this._traceAttempt.topCandidate.score = topCandidate.readability.contentScore;
+      }
+
       var articleContent = doc.createElement("DIV");
       if (isPaging)
         articleContent.id = "readability-content";
@@ -1280,6 +1383,9 @@ Readability.prototype = {
       // finding the content, and the sieve approach gives us a higher likelihood of
       // finding the -right- content.
       var textLength = this._getInnerText(articleContent, true).length;
+      if (this._trace) {
+        this._traceAttempt.textLength = textLength;
+      }
       if (textLength < this._charThreshold) {
         parseSuccessful = false;
         page.innerHTML = pageCacheHtml;
@@ -1307,10 +1413,21 @@ Readability.prototype = {
 
           articleContent = this._attempts[0].articleContent;
           parseSuccessful = true;
+
+          if (this._trace) {
+            var longest = this._attempts[0].textLength;
+            this._trace.selectedAttempt = this._trace.attempts.findIndex(function(attempt) {
+              return attempt.textLength === longest;
+            });
+          }
         }
       }
 
       if (parseSuccessful) {
+        if (this._trace && this._trace.selectedAttempt === null) {
+          this._trace.selectedAttempt = this._trace.attempts.length - 1;
+        }
+
         // Find out text direction from ancestors of final top candidate.
         var ancestors = [parentOfTopCandidate, topCandidate].concat(this._getNodeAncestors(parentOfTopCandidate));
         this._someNode(ancestors, function(ancestor) {
@@ -1450,6 +1567,34 @@ Readability.prototype = {
           if (typeof parsed.datePublished === "string") {
             metadata.datePublished = parsed.datePublished.trim();
           }
+          if (typeof parsed.dateModified === "string") {
+            metadata.dateModified = parsed.dateModified.trim();
+          }
+          var authors = this._getJSONLDNames(parsed.author);
+          if (authors.length) {
+            metadata.authors = authors;
+          }
+          var image = this._getJSONLDUrl(parsed.image);
+          if (image) {
+            metadata.image = image;
+          }
+          var keywords = this._getJSONLDList(parsed.keywords);
+          if (keywords.length) {
+            metadata.keywords = keywords;
+          }
+          var sections = this._getJSONLDList(parsed.articleSection);
+          if (sections.length) {
+            metadata.section = sections[0];
+          }
+          if (typeof parsed.inLanguage === "string") {
+            metadata.inLanguage = parsed.inLanguage.trim();
+          }
+          if (parsed.publisher) {
+            var logo = this._getJSONLDUrl(parsed.publisher.logo);
+            if (logo) {
+              metadata.publisherLogo = logo;
+            }
+          }
           return;
         } catch (err) {
           this.log(err.message);
@@ -1459,24 +1604,90 @@ Readability.prototype = {
     return metadata ? metadata : {};
   },
 
+  /**
+   * Names from a JSON-LD Person or Organization value: a string, an object
+   * with a name, or an array of either.
+   * @return Array of strings
+   */
+  _getJSONLDNames: function(value) {
+    return [].concat(value || []).map(function(item) {
+      if (typeof item === "string") {
+        return item.trim();
+      }
+      return item && typeof item.name === "string" ? item.name.trim() : "";
+    }).filter(Boolean);
+  },
+
+  /**
+   * First URL of a JSON-LD ImageObject, URL string, or array of either.
+   * @return string or null
+   */
+  _getJSONLDUrl: function(value) {
+    var item = [].concat(value || [])[0];
+    if (typeof item === "string") {
+      return item.trim() || null;
+    }
+    if (item && typeof item.url === "string") {
+      return item.url.trim() || null;
+    }
+    return null;
+  },
+
+  /**
+   * Entries of a JSON-LD text list, given as an array or a comma separated string.
+   * @return Array of strings
+   */
+  _getJSONLDList: function(value) {
+    if (typeof value === "string") {
+      value = value.split(",");
+    }
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    return value.filter(function(item) {
+      return typeof item === "string";
+    }).map(function(item) {
+      return item.trim();
+    }).filter(Boolean);
+  },
+
+  /**
+   * Resolve a metadata URL against the document's base URI.
+   * @return string or null
+   */
+  _toAbsoluteURL: function(uri) {
+    if (!uri) {
+      return null;
+    }
+    try {
+      return new URL(uri, this._doc.baseURI).href;
+    } catch (ex) {
+      return uri;
+    }
+  },
+
   /**
    * Attempts to get excerpt and byline metadata for the article.
    *
    * @param {Object} jsonld — object containing any metadata that
    * could be extracted from JSON-LD object.
    *
-   * @return Object with optional "excerpt" and "byline" properties
+   * @return Object with optional "excerpt" and "byline" properties, plus
+   * the other article metadata (dates, authors, tags, image, URLs)
    */
   _getArticleMetadata: function(jsonld) {
     var metadata = {};
     var values = {};
+    // Every value of properties that may repeat, like article:tag
+    var lists = {};
     var metaElements = this._doc.getElementsByTagName("meta");
 
-    // property is a space-separated list of values
-    var propertyPattern = /\s*(article|dc|dcterm|og|twitter)\s*:\s*(author|creator|description|published_time|title|site_name)\s*/gi;
+    // property is a space-separated list of values; the lookahead stops
+    // og:image from matching structured properties like og:image:width
+    var propertyPattern = /\s*(article|dc|dcterm|og|twitter)\s*:\s*(author|creator|description|published_time|modified_time|updated_time|title|site_name|image|tag|section|url|locale)(?![\w:])\s*/gi;
 
     // name is a single value
-    var namePattern = /^\s*(?:(dc|dcterm|og|twitter|weibo:(article|webpage))\s*[\.:]\s*)?(author|creator|description|title|site_name)\s*$/i;
+    var namePattern = /^\s*(?:(dc|dcterm|og|twitter|weibo:(article|webpage))\s*[\.:]\s*)?(author|creator|description|title|site_name|image|keywords)\s*$/i;
 
     // Find description tags.
     this._forEachNode(metaElements, function(element) {
@@ -1497,6 +1708,7 @@ Readability.prototype = {
           name = matches[0].toLowerCase().replace(/\s/g, "");
           // multiple authors
           values[name] = content.trim();
+          (lists[name] = lists[name] || []).push(content.trim());
         }
       }
       if (!matches && elementName && namePattern.test(elementName)) {
@@ -1548,6 +1760,47 @@ Readability.prototype = {
     metadata.publishedTime = jsonld.datePublished ||
       values["article:published_time"] || null;
 
+    // get article modified time
+    metadata.modifiedTime = jsonld.dateModified ||
+      values["article:modified_time"] ||
+      values["og:updated_time"] || null;
+
+    // get authors; article:author is often a profile URL rather than a name
+    metadata.authors = jsonld.authors ||
+      (lists["article:author"] || []).filter(function(author) {
+        return !/^https?:\/\//i.test(author);
+      });
+
+    // get tags
+    metadata.tags = jsonld.keywords ||
+      lists["article:tag"] ||
+      this._getJSONLDList(values["keywords"]);
+
+    // get section
+    metadata.section = jsonld.section ||
+      values["article:section"] || null;
+
+    // get language; og:locale uses underscores (en_US)
+    metadata.lang = jsonld.inLanguage ||
+      (values["og:locale"] ? values["og:locale"].replace(/_/g, "-") : null);
+
+    // get lead image, canonical URL, favicon and publisher logo
+    var links = this._getAllNodesWithTag(this._doc, ["link"]);
+    var findLink = function(rel) {
+      var link = Array.prototype.find.call(links, function(element) {
+        return (element.getAttribute("rel") || "").toLowerCase().split(/\s+/).indexOf(rel) !== -1 &&
+          element.getAttribute("href");
+      });
+      return link ? link.getAttribute("href") : null;
+    };
+
+    metadata.image = jsonld.image ||
+      values["og:image"] ||
+      values["twitter:image"] || null;
+    metadata.canonicalUrl = findLink("canonical") || values["og:url"] || null;
+    metadata.favicon = findLink("icon") || findLink("apple-touch-icon");
+    metadata.publisherLogo = jsonld.publisherLogo || null;
+
     // in many sites the meta value is escaped with HTML entities,
     // so here we need to unescape it
     metadata.title = this._unescapeHtmlEntities(metadata.title);
@@ -1555,10 +1808,33 @@ Readability.prototype = {
     metadata.excerpt = this._unescapeHtmlEntities(metadata.excerpt);
     metadata.siteName = this._unescapeHtmlEntities(metadata.siteName);
     metadata.publishedTime = this._unescapeHtmlEntities(metadata.publishedTime);
+    metadata.modifiedTime = this._unescapeHtmlEntities(metadata.modifiedTime);
+    metadata.section = this._unescapeHtmlEntities(metadata.section);
+    metadata.authors = metadata.authors.map(this._unescapeHtmlEntities, this);
+    metadata.tags = metadata.tags.map(this._unescapeHtmlEntities, this).filter(function(tag, index, tags) {
+      return tags.indexOf(tag) === index;
+    });
+
+    metadata.image = this._toAbsoluteURL(this._unescapeHtmlEntities(metadata.image));
+    metadata.canonicalUrl = this._toAbsoluteURL(this._unescapeHtmlEntities(metadata.canonicalUrl));
+    metadata.favicon = this._toAbsoluteURL(metadata.favicon);
+    metadata.publisherLogo = this._toAbsoluteURL(metadata.publisherLogo);
 
     return metadata;
   },
 
+  /**
+   * Number of words in a text, counting each CJK character as a word.
+   *
+   * @param {string} text
+   * @return number
+   */
+  _countWords: function(text) {
+    var characters = (text.match(this.REGEXPS.cjkCharacters) || []).length;
+    var words = text.replace(this.REGEXPS.cjkCharacters, " ").match(/\S+/g) || [];
+    return characters + words.length;
+  },
+
   /**
    * Check if node is image, or if node contains exactly only one image
    * whether as a direct child or as its descendants.
@@ -2106,6 +2382,7 @@ Readability.prototype = {
       var contentScore = 0;
 
       if (weight + contentScore < 0) {
+        this._traceRemoval(node, "cleanConditionally", "negative class weight", { weight: weight });
         return true;
       }
 
@@ -2141,29 +2418,44 @@ Readability.prototype = {
         var linkDensity = this._getLinkDensity(node);
         var contentLength = this._getInnerText(node).length;
 
-        var haveToRemove =
-          (img > 1 && p / img < 0.5 && !this._hasAncestorTag(node, "figure")) ||
-          (!isList && li > p) ||
-          (input > Math.floor(p/3)) ||
-          (!isList && headingDensity < 0.9 && contentLength < 25 && (img === 0 || img > 2) && !this._hasAncestorTag(node, "figure")) ||
-          (!isList && weight < 25 && linkDensity > 0.2) ||
-          (weight >= 25 && linkDensity > 0.5) ||
-          ((embedCount === 1 && contentLength < 75) || embedCount > 1);
+        // The first condition that holds is the reason for removal
+        var removalReason =
+          (img > 1 && p / img < 0.5 && !this._hasAncestorTag(node, "figure")) ? "more images than paragraphs" :
+          (!isList && li > p) ? "more list items than paragraphs" :
+          (input > Math.floor(p/3)) ? "too many inputs" :
+          (!isList && headingDensity < 0.9 && contentLength < 25 && (img === 0 || img > 2) && !this._hasAncestorTag(node, "figure")) ? "too little content" :
+          (!isList && weight < 25 && linkDensity > 0.2) ? "high link density" :
+          (weight >= 25 && linkDensity > 0.5) ? "high link density despite positive class weight" :
+          ((embedCount === 1 && contentLength < 75) || embedCount > 1) ? "embeds without enough text" :
+          null;
+        var haveToRemove = removalReason !== null;
         // Allow simple lists of images to remain in pages
         if (isList && haveToRemove) {
+          var keepImageList = true;
           for (var x = 0; x < node.children.length; x++) {
             let child = node.children[x];
             // Don't filter in lists with li's that contain more than one child
             if (child.children.length > 1) {
-              return haveToRemove;
+              keepImageList = false;
+              break;
             }
           }
           let li_count = node.getElementsByTagName("li").length;
           // Only allow the list to remain if every li contains an image
-          if (img == li_count) {
+          if (keepImageList && img == li_count) {
             return false;
           }
         }
+        if (haveToRemove) {
+          this._traceRemoval(node, "cleanConditionally", removalReason, {
+            weight: weight,
+            linkDensity: linkDensity,
+            contentLength: contentLength,
+            paragraphs: p,
+            images: img,
+            embeds: embedCount
+          });
+        }
         return haveToRemove;
       }
       return false;
@@ -2293,22 +2585,253 @@ Readability.prototype = {
     }
 
     var textContent = articleContent.textContent;
+    var byline = metadata.byline || this._articleByline;
+    var wordCount = this._countWords(textContent);
     return {
       title: this._articleTitle,
-      byline: metadata.byline || this._articleByline,
+      byline: byline,
+      authors: metadata.authors.length ? metadata.authors : (byline ? [byline] : []),
       dir: this._articleDir,
-      lang: this._articleLang,
+      lang: this._articleLang || metadata.lang,
       content: this._serializer(articleContent),
       textContent: textContent,
       length: textContent.length,
+      wordCount: wordCount,
+      readingTime: Math.ceil(wordCount / this.WORDS_PER_MINUTE),
       excerpt: metadata.excerpt,
       siteName: metadata.siteName || this._articleSiteName,
-      publishedTime: metadata.publishedTime
+      publishedTime: metadata.publishedTime,
+      modifiedTime: metadata.modifiedTime,
+      section: metadata.section,
+      tags: metadata.tags,
+      image: metadata.image,
+      canonicalUrl: metadata.canonicalUrl,
+      favicon: metadata.favicon,
+      publisherLogo: metadata.publisherLogo
     };
   }
 };
 
+/**
+ * Decides whether a document probably contains an article, without running
+ * the full algorithm. Ported from Readability-readerable.js, but scores every
+ * candidate instead of stopping at the threshold so callers get a confidence.
+ *
+ * @param {HTMLDocument} doc The document to check.
+ * @param {Object} options Optional:
+ *   minContentLength (default 140): characters a node needs to count,
+ *   minScore (default 20): total score needed to be readerable,
+ *   visibilityChecker: function(node) returning whether a node is visible.
+ * @return {Object} { readerable, score, confidence, candidates }, where
+ *   confidence runs from 0 to 1 and is 0.5 exactly at minScore.
+ */
+function getReaderableScore(doc, options) {
+  options = options || {};
+  var minContentLength = options.minContentLength || 140;
+  var minScore = options.minScore || 20;
+  var isVisible = options.visibilityChecker || Readability.prototype._isProbablyVisible;
+  var regexps = Readability.prototype.REGEXPS;
+
+  var nodes = doc.querySelectorAll("p, pre, article");
+
+  // Get <div> nodes which have <br> node(s) and append them into the `nodes` variable.
+  // Some articles' DOM structures might look like
+  // <div>
+  //   Sentences<br>
+  //   <br>
+  //   Sentences<br>
+  // </div>
+  var brNodes = doc.querySelectorAll("div > br");
+  if (brNodes.length) {
+    var set = new Set(nodes);
+    [].forEach.call(brNodes, function(node) {
+      set.add(node.parentNode);
+    });
+    nodes = Array.from(set);
+  }
+
+  var score = 0;
+  var candidates = 0;
+  [].forEach.call(nodes, function(node) {
+    if (!isVisible(node)) {
+      return;
+    }
+
+    var matchString = node.className + " " + node.id;
+    if (regexps.unlikelyCandidates.test(matchString) &&
+        !regexps.okMaybeItsACandidate.test(matchString)) {
+      return;
+    }
+
+    if (node.matches("li p")) {
+      return;
+    }
+
+    var textContentLength = node.textContent.trim().length;
+    if (textContentLength < minContentLength) {
+      return;
+    }
+
+    score += Math.sqrt(textContentLength - minContentLength);
+    candidates++;
+  });
+
+  return {
+    readerable: score > minScore,
+    score: Math.round(score * 100) / 100,
+    confidence: Math.round(Math.min(1, score / (minScore * 2)) * 100) / 100,
+    candidates: candidates
+  };
+}
+
+/**
+ * Decides whether or not the document is reader-able without parsing the whole thing.
+ * @param {HTMLDocument} doc The document to check.
+ * @param {Object} options See getReaderableScore().
+ * @return {boolean} Whether or not we suspect Readability.parse() will succeed at returning an article object.
+ */
+function isProbablyReaderable(doc, options) {
+  return getReaderableScore(doc, options).readerable;
+}
+
+/**
+ * Finds the link to the next page of a paginated article. A rel="next" link
+ * wins outright; otherwise same-site links are scored on their text, class,
+ * id and parents, and on whether their URL differs from the current one only
+ * in its numbers (/page/2, ?p=2). Based on the next-page search of Arc90's
+ * original readability.js.
+ *
+ * @param {HTMLDocument} doc The document of the current page.
+ * @param {Object} options Optional:
+ *   page (default 1): number of the current page,
+ *   visited: URLs that were already followed and must not be returned,
+ *   minScore (default 50): score a link needs without rel="next".
+ * @return {Object} { url, reason: "rel=next" | "heuristic", score } or null.
+ */
+function findNextPageLink(doc, options) {
+  options = options || {};
+  var currentPage = options.page || 1;
+  var minScore = options.minScore || 50;
+  var regexps = Readability.prototype.REGEXPS;
+  var paginationPattern = /pag(e|ing|inat)/i;
+
+  function resolve(href) {
+    try {
+      var url = new URL(href, doc.baseURI);
+      url.hash = "";
+      return url;
+    } catch (ex) {
+      return null;
+    }
+  }
+
+  var current = resolve(doc.URL);
+  if (!current) {
+    return null;
+  }
+  var host = current.hostname.replace(/^www\./, "");
+  var visited = new Set([current.href]);
+  (options.visited || []).forEach(function(url) {
+    var resolved = resolve(url);
+    if (resolved) {
+      visited.add(resolved.href);
+    }
+  });
+
+  function isUsable(url) {
+    return url &&
+      (url.protocol === "http:" || url.protocol === "https:") &&
+      url.hostname.replace(/^www\./, "") === host &&
+      url.pathname + url.search !== "/" &&
+      !visited.has(url.href);
+  }
+
+  // An explicit declaration by the site
+  var declared = doc.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]');
+  for (var i = 0; i < declared.length; i++) {
+    var declaredUrl = resolve(declared[i].getAttribute("href"));
+    if (isUsable(declaredUrl)) {
+      return { url: declaredUrl.href, reason: "rel=next", score: null };
+    }
+  }
+
+  // URLs that differ from the current one only in their numbers look like
+  // other pages of the same article
+  var numberless = function(url) {
+    return url.href.replace(/\d+/g, "#");
+  };
+  var currentShape = numberless(current);
+
+  var best = null;
+  [].forEach.call(doc.querySelectorAll("a[href]"), function(link) {
+    var url = resolve(link.getAttribute("href"));
+    if (!isUsable(url)) {
+      return;
+    }
+
+    // Next links are short; long texts are article or navigation links
+    var text = link.textContent.replace(regexps.normalize, " ").trim();
+    if (text.length > 25) {
+      return;
+    }
+
+    var linkData = text + " " + link.className + " " + link.id;
+    var score = 0;
+
+    if (numberless(url) === currentShape) {
+      score += 25;
+    }
+    if (regexps.extraneous.test(linkData)) {
+      score -= 25;
+    }
+    if (regexps.nextLink.test(linkData)) {
+      score += 50;
+    }
+    if (paginationPattern.test(linkData)) {
+      score += 25;
+    }
+    if (/(first|last)/i.test(linkData) && !regexps.nextLink.test(text)) {
+      score -= 65;
+    }
+    if (regexps.negative.test(linkData) || regexps.extraneous.test(linkData)) {
+      score -= 50;
+    }
+    if (regexps.prevLink.test(linkData)) {
+      score -= 200;
+    }
+
+    // A bare page number counts when it is the page after this one
+    if (/^\d+$/.test(text)) {
+      score += parseInt(text, 10) === currentPage + 1 ? 50 : -25;
+    }
+
+    // Parents inside a pagination block count once, as do negative parents
+    var positiveParent = false;
+    var negativeParent = false;
+    for (var parent = link.parentNode; parent && parent.nodeType === 1; parent = parent.parentNode) {
+      var parentData = parent.className + " " + parent.id;
+      if (!positiveParent && paginationPattern.test(parentData)) {
+        positiveParent = true;
+        score += 25;
+      }
+      if (!negativeParent && regexps.negative.test(parentData) && !regexps.positive.test(parentData)) {
+        negativeParent = true;
+        score -= 25;
+      }
+    }
+
+    if (score >= minScore && (!best || score > best.score)) {
+      best = { url: url.href, reason: "heuristic", score: score };
+    }
+  });
+
+  return best;
+}
+
 if (typeof module === "object") {
   /* global module */
   module.exports = Readability;
+  module.exports.getReaderableScore = getReaderableScore;
+  module.exports.isProbablyReaderable = isProbablyReaderable;
+  module.exports.findNextPageLink = findNextPageLink;
 }
@@ -0,0 +1,272 @@
+// Reader view themes and HTML templates.
+//
+// Templates are HTML documents with {{placeholder}} variables and
+// {{#name}}...{{/name}} sections that render only when the value is set.
+// Values are HTML-escaped, except content (sanitized article HTML) and
+// styles (built here), which are inserted as markup.
+// Custom templates are loaded from TEMPLATES_DIR: <name>.html plus an optional
+// <name>.css that is appended to the theme styles.
+
+const fs = require('fs');
+const path = require('path');
+const { parseChoice, parseInteger } = require('./params');
+
+const THEMES = {
+  light: {
+    background: '#fff',
+    text: '#333',
+    muted: '#666',
+    link: '#0645ad',
+    border: '#ddd',
+    codeBackground: '#f5f5f5'
+  },
+  dark: {
+    background: '#1e1e1e',
+    text: '#ddd',
+    muted: '#999',
+    link: '#8ab4f8',
+    border: '#444',
+    codeBackground: '#2b2b2b'
+  },
+  sepia: {
+    background: '#f4ecd8',
+    text: '#5b4636',
+    muted: '#8b7355',
+    link: '#8b4513',
+    border: '#d8c8a8',
+    codeBackground: '#ebe0c8'
+  },
+  'high-contrast': {
+    background: '#000',
+    text: '#fff',
+    muted: '#ff0',
+    link: '#0ff',
+    border: '#fff',
+    codeBackground: '#222'
+  },
+  print: {
+    background: '#fff',
+    text: '#000',
+    muted: '#444',
+    link: '#000',
+    border: '#999',
+    codeBackground: '#f0f0f0'
+  }
+};
+
+const FONT_FAMILIES = {
+  sans: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif",
+  serif: "Georgia, 'Times New Roman', Times, serif",
+  mono: "'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace"
+};
+
+// Anything else given as fontFamily must look like a plain CSS font list
+const FONT_FAMILY_PATTERN = /^[\w\s,'"-]{1,200}$/;
+
+const BASE_CSS = `
+  body {
+    font-family: var(--font-family);
+    font-size: var(--font-size);
+    line-height: 1.6;
+    max-width: var(--line-width);
+    margin: 0 auto;
+    padding: 40px 20px;
+    background: var(--background);
+    color: var(--text);
+  }
+  a {
+    color: var(--link);
+  }
+  h1 {
+    font-size: 2.5em;
+    margin-bottom: 0.3em;
+    line-height: 1.2;
+  }
+  .byline, .meta {
+    color: var(--muted);
+    font-style: italic;
+    margin-bottom: 1.5em;
+    font-size: 0.95em;
+  }
+  .content {
+    font-size: 1.1em;
+  }
+  .content p {
+    margin: 1.2em 0;
+  }
+  .content img {
+    max-width: 100%;
+    height: auto;
+    display: block;
+    margin: 1.5em auto;
+  }
+  .content h2 {
+    margin-top: 1.5em;
+    margin-bottom: 0.5em;
+  }
+  .content ul, .content ol {
+    margin: 1em 0;
+    padding-left: 2em;
+  }
+  .content blockquote {
+    border-left: 3px solid var(--border);
+    margin: 1.5em 0;
+    padding-left: 1em;
+    color: var(--muted);
+  }
+  .content pre, .content code {
+    background: var(--code-background);
+  }
+  .content pre {
+    padding: 1em;
+    overflow-x: auto;
+  }
+`;
+
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>{{title}}</title>
+  <style>{{styles}}</style>
+</head>
+<body>
+  <h1>{{title}}</h1>
+  {{#byline}}<div class="byline">{{byline}}</div>{{/byline}}
+  {{#siteName}}<div class="meta">{{siteName}}{{#publishedTime}} &middot; {{publishedTime}}{{/publishedTime}}</div>{{/siteName}}
+  <div class="content">
+    {{content}}
+  </div>
+</body>
+</html>
+`;
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, 'templates');
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+const templates = new Map([['default', { html: DEFAULT_TEMPLATE, css: '' }]]);
+
+// Register every <name>.html (and matching <name>.css) found in dir
+function loadTemplates(dir = TEMPLATES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const loaded = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (path.extname(file) !== '.html') continue;
+
+    const name = path.basename(file, '.html');
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      console.warn(`Skipping template with invalid name: ${file}`);
+      continue;
+    }
+
+    const cssFile = path.join(dir, `${name}.css`);
+    templates.set(name, {
+      html: fs.readFileSync(path.join(dir, file), 'utf8'),
+      css: fs.existsSync(cssFile) ? fs.readFileSync(cssFile, 'utf8') : ''
+    });
+    loaded.push(name);
+  }
+  return loaded;
+}
+
+function listTemplates() {
+  return {
+    themes: Object.keys(THEMES),
+    templates: [...templates.keys()],
+    fontFamilies: Object.keys(FONT_FAMILIES)
+  };
+}
+
+// Validate reader view parameters, throwing on invalid values
+function getReaderOptions(params, defaults = {}) {
+  const theme = parseChoice(params.theme, 'theme', defaults.theme || 'light', Object.keys(THEMES));
+  const template = parseChoice(params.template, 'template', 'default', [...templates.keys()]);
+
+  let fontFamily = FONT_FAMILIES.sans;
+  if (params.fontFamily) {
+    fontFamily = FONT_FAMILIES[params.fontFamily] || String(params.fontFamily);
+    if (!FONT_FAMILY_PATTERN.test(fontFamily)) {
+      throw new Error(`Invalid fontFamily "${params.fontFamily}"`);
+    }
+  }
+
+  return {
+    theme,
+    template,
+    fontFamily,
+    fontSize: parseInteger(params.fontSize, 'fontSize', 16, 10, 32),
+    lineWidth: parseInteger(params.lineWidth, 'lineWidth', 800, 320, 2000)
+  };
+}
+
+function buildStyles(options, templateCss) {
+  const colors = THEMES[options.theme];
+  return `
+  :root {
+    --font-family: ${options.fontFamily};
+    --font-size: ${options.fontSize}px;
+    --line-width: ${options.lineWidth}px;
+    --background: ${colors.background};
+    --text: ${colors.text};
+    --muted: ${colors.muted};
+    --link: ${colors.link};
+    --border: ${colors.border};
+    --code-background: ${colors.codeBackground};
+  }
+  ${BASE_CSS}
+  ${templateCss}`;
+}
+
+// Placeholders inserted without escaping
+const HTML_VALUES = ['content', 'styles'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Matches a section that contains no other section, so nesting resolves inside out
+const SECTION_PATTERN = /\{\{#(\w+)\}\}((?:(?!\{\{#)[\s\S])*?)\{\{\/\1\}\}/g;
+
+function renderTemplate(html, values) {
+  let previous;
+  do {
+    previous = html;
+    html = html.replace(SECTION_PATTERN, (match, name, inner) => values[name] ? inner : '');
+  } while (html !== previous);
+
+  return html.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (values[name] == null) return '';
+    return HTML_VALUES.includes(name) ? String(values[name]) : escapeHtml(values[name]);
+  });
+}
+
+// Build the complete reader view document for a parsed article. Lists
+// (authors, tags) are joined with commas; URLs are absolute.
+function buildReaderHtml(article, options) {
+  const template = templates.get(options.template);
+  return renderTemplate(template.html, {
+    title: article.title,
+    byline: article.byline,
+    authors: (article.authors || []).join(', '),
+    siteName: article.siteName,
+    section: article.section,
+    tags: (article.tags || []).join(', '),
+    publishedTime: article.publishedTime,
+    modifiedTime: article.modifiedTime,
+    lang: article.lang,
+    excerpt: article.excerpt,
+    image: article.image,
+    canonicalUrl: article.canonicalUrl,
+    favicon: article.favicon,
+    publisherLogo: article.publisherLogo,
+    wordCount: article.wordCount,
+    readingTime: article.readingTime,
+    content: article.content,
+    styles: buildStyles(options, template.css)
+  });
+}
+
+module.exports = { THEMES, loadTemplates, listTemplates, getReaderOptions, buildReaderHtml };
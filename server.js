@@ -1,16 +1,40 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
+const archiver = require('archiver');
 const fs = require('fs');
 const path = require('path');
+const { PagePool, PoolError } = require('./page-pool');
+const { BrowserManager, BrowserUnavailableError } = require('./browser-manager');
+const { getParams, parseBoolean, parseNumber, parseInteger, parseChoice } = require('./params');
+const { loadTemplates, listTemplates, getReaderOptions, buildReaderHtml } = require('./reader-templates');
+const { createCache, cacheKey, createEntry, normalizeUrl } = require('./cache');
+const { JobStore } = require('./job-store');
+const { UrlPolicy, PolicyError } = require('./url-policy');
+const { PolicyProxy, PROXY_ERROR_HEADER } = require('./policy-proxy');
+const { ApiKeyAuth } = require('./auth');
+const { Timings, WaitTimeoutError, getWaitOptions, waitForPage, waitForReaderView } = require('./wait-strategies');
+const { getOverlayOptions, dismissOverlays, reportHeader } = require('./overlay-cleanup');
+const { getContextOptions, applyContext, originHeaders } = require('./page-context');
+const { ActionError, getActions, runActions, reportHeader: actionsHeader } = require('./page-actions');
+const { Diagnostics } = require('./diagnostics');
+const { getPagesOption, mergePages } = require('./article-pages');
+const { loadSiteRules, findSiteRule, listSiteRules } = require('./site-rules');
+const { MAX_DEBUG_ENTRIES, MAX_DEBUG_ENTRY_LENGTH, getReadabilityOptions, buildReadabilityOptions } = require('./readability-options');
+const { getDebugOptions, buildScoreReport, annotatePage, topCandidateHeader } = require('./extraction-debug');
+const { SessionStore, parseSessionName, getLoginSteps, runLoginSteps, captureState, applyState } = require('./session-store');
 
 const app = express();
+app.use(express.json({ limit: '1mb' }));
 const PORT = process.env.PORT || 3003;
 
+// API keys, rate limits and quotas; disabled when no keys are configured
+const auth = ApiKeyAuth.fromEnv();
+app.use(auth.middleware(['/healthz', '/readyz']));
+
 // Read Readability.js once at startup
 const READABILITY_JS = fs.readFileSync(path.join(__dirname, 'readability.js'), 'utf8');
-
-// Global browser instance
-let browser = null;
+const FORMATTER_JS = fs.readFileSync(path.join(__dirname, 'article-formatter.js'), 'utf8');
+const SANITIZER_JS = fs.readFileSync(path.join(__dirname, 'content-sanitizer.js'), 'utf8');
+const FRAGMENT_JS = fs.readFileSync(path.join(__dirname, 'html-fragment.js'), 'utf8');
 
 const BROWSER_ARGS = [
   '--no-sandbox',
@@ -21,153 +45,1616 @@ const BROWSER_ARGS = [
   '--window-size=1920,1080'
 ];
 
+// Global browser instance, relaunched automatically if Chrome dies
+const browserManager = new BrowserManager({
+  launchOptions: {
+    headless: 'new',
+    args: BROWSER_ARGS
+  },
+  recycleAfter: parseInt(process.env.RECYCLE_AFTER_PAGES, 10) || 0,
+  healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 30000,
+  maxFailedLaunches: parseInt(process.env.MAX_FAILED_LAUNCHES, 10) || 10
+});
+
+// Limits concurrent pages so bursts of requests queue instead of exhausting memory
+const pool = new PagePool({
+  createPage: () => browserManager.newPage(),
+  shouldRetry: (error) => browserManager.isCrashError(error),
+  maxPages: parseInt(process.env.MAX_CONCURRENT_PAGES, 10) || 4,
+  maxQueue: parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 20,
+  queueTimeout: parseInt(process.env.QUEUE_TIMEOUT_MS, 10) || 30000
+});
+
+// Scheme, host and address rules applied to every URL the browser loads
+const urlPolicy = UrlPolicy.fromEnv();
+
+// Chrome's only way out, so hosts are checked where they are connected to
+const policyProxy = new PolicyProxy(urlPolicy);
+
+// Rendered results, keyed on normalized URL plus render options
+const CACHE_TTL = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300;
+const cache = createCache({
+  backend: process.env.CACHE_BACKEND || 'memory',
+  dir: process.env.CACHE_DIR || path.join(__dirname, '.cache'),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || undefined,
+  maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || undefined
+});
+
+// Named logins whose cookies and localStorage are stored encrypted on disk
+const sessions = SessionStore.fromEnv(path.join(__dirname, '.sessions'));
+
 async function initBrowser() {
   try {
-    console.log('Launching Chrome browser...');
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: BROWSER_ARGS
-    });
-    console.log('Chrome browser launched successfully');
+    await policyProxy.listen(parseInt(process.env.POLICY_PROXY_PORT, 10) || 0);
+    BROWSER_ARGS.push(...policyProxy.browserArgs());
+    await browserManager.start();
   } catch (error) {
     console.error('Failed to launch browser:', error);
     process.exit(1);
   }
 }
 
-async function configurePage(page) {
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-  await page.setViewport({ width: 1920, height: 1080 });
+// Apply the request's session, browsing context (user agent, cookies, headers, ...) and viewport
+async function configurePage(page, url, { context, viewport = {} }) {
+  if (context.session) {
+    const state = await sessions.load(context.session);
+    if (!state) {
+      throw new RequestError(404, 'SESSION_NOT_FOUND', 'Session not found', `Unknown or expired session "${context.session}"`);
+    }
+    await applyState(page, state);
+  }
+  await applyContext(page, url, context);
+  await page.setViewport({ width: 1920, height: 1080, ...viewport });
 }
 
-app.get('/screenshot', async (req, res) => {
-  const url = req.query.url;
+// Error raised while handling a request that maps to a specific HTTP status and
+// machine-readable code. details are merged into the response body.
+class RequestError extends Error {
+  constructor(status, code, error, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.code = code;
+    this.error = error;
+    this.details = details;
+  }
+}
 
-  if (!url) {
-    return res.status(400).json({ error: 'URL parameter is required' });
+// Express middleware rejecting API keys without the given feature
+function requireFeature(feature) {
+  return (req, res, next) => {
+    try {
+      ApiKeyAuth.authorize(req.apiClient, [feature]);
+      next();
+    } catch (error) {
+      res.status(403).json({ error: 'Forbidden', message: error.message });
+    }
+  };
+}
+
+// Sessions are only visible to the API key that created them
+function findSession(client, name) {
+  const session = sessions.get(name);
+  if (!session || (client && session.owner !== client.name)) return null;
+  return session;
+}
+
+// Render types that capture the page itself when it has no article
+const RAW_CAPTURE_TYPES = ['screenshot', 'pdf'];
+
+// A screenshot or PDF that may end up as a raw capture: raw mode, or a page
+// without an article under onNotReaderable=raw (the default for screenshots
+// with mode=auto and for PDFs)
+function mayCaptureRaw(type, options) {
+  return RAW_CAPTURE_TYPES.includes(type) && (options.mode === 'raw' || options.onNotReaderable === 'raw');
+}
+
+// Check the API key may render this request and charge units against its quota
+function authorizeRender(client, type, options, units = 1) {
+  const features = mayCaptureRaw(type, options) ? [type, 'raw'] : [type];
+  try {
+    ApiKeyAuth.authorize(client, features);
+  } catch (error) {
+    throw new RequestError(403, 'FORBIDDEN', 'Forbidden', error.message);
+  }
+
+  const sessionName = options.context && options.context.session;
+  if (sessionName) {
+    const session = findSession(client, sessionName);
+    if (!session) {
+      throw new RequestError(404, 'SESSION_NOT_FOUND', 'Session not found', `Unknown or expired session "${sessionName}"`);
+    }
+    // Cache results per login, not per name, so a replaced session never sees old captures
+    options.context.sessionId = session.id;
   }
 
-  let page;
+  const exceeded = ApiKeyAuth.consume(client, units, features);
+  if (exceeded) {
+    throw new RequestError(
+      429,
+      'QUOTA_EXCEEDED',
+      'Quota exceeded',
+      `${exceeded.period} quota of ${exceeded.limit} renders exceeded for API key "${client.name}" (resets ${exceeded.resetAt.toISOString()})`,
+      { retryAfter: Math.max(1, Math.ceil((exceeded.resetAt.getTime() - Date.now()) / 1000)) }
+    );
+  }
+}
+
+// Policy rules that are really about the URL itself rather than what it points at
+const POLICY_ERRORS = {
+  'invalid-url': { statusCode: 400, code: 'INVALID_URL', error: 'Invalid URL' },
+  dns: { statusCode: 502, code: 'DNS_FAILURE', error: 'DNS lookup failed' }
+};
+
+// Map any error to its HTTP status, machine-readable code and response body fields
+function describeError(error, failure) {
+  if (error instanceof RequestError) {
+    return { statusCode: error.status, code: error.code, error: error.error, message: error.message, ...error.details };
+  }
+  if (error instanceof PolicyError) {
+    const known = POLICY_ERRORS[error.rule] || { statusCode: 403, code: 'BLOCKED_BY_POLICY', error: 'URL blocked by policy' };
+    return { ...known, rule: error.rule, message: error.message };
+  }
+  if (error instanceof WaitTimeoutError) {
+    return { statusCode: 504, code: 'WAIT_TIMEOUT', error: 'Wait condition timed out', phase: error.phase, message: error.message };
+  }
+  if (error instanceof ActionError) {
+    return { statusCode: 422, code: 'ACTION_FAILED', error: 'Action failed', step: error.step, message: error.message, actions: error.report };
+  }
+  if (error instanceof PoolError) {
+    return { statusCode: error.status, code: 'SERVER_BUSY', error: 'Server busy', message: error.message, retryAfter: error.retryAfter };
+  }
+  if (error instanceof BrowserUnavailableError) {
+    return { statusCode: 503, code: 'BROWSER_UNAVAILABLE', error: 'Browser unavailable', message: error.message, retryAfter: 5 };
+  }
+  // Crashes that outlived the pool's retry
+  if (browserManager.isCrashError(error)) {
+    return { statusCode: 503, code: 'BROWSER_CRASHED', error: 'Browser crashed', message: error.message, retryAfter: 5 };
+  }
+  return { statusCode: 500, code: 'INTERNAL_ERROR', error: failure, message: error.message };
+}
+
+function sendError(res, error, label, failure) {
+  const { statusCode, ...body } = describeError(error, failure);
+  if (body.code === 'INTERNAL_ERROR') {
+    console.error(`${label} error:`, error);
+  }
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  if (error.diagnostics) {
+    body.diagnostics = error.diagnostics;
+  }
+  res.status(statusCode).json(body);
+}
+
+function sendEntry(req, res, entry, cacheStatus) {
+  res.setHeader('Content-Type', entry.contentType);
+  for (const [name, value] of Object.entries(entry.headers)) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('ETag', entry.etag);
+  res.setHeader('X-Cache', cacheStatus);
+  if (cacheStatus === 'BYPASS') {
+    res.setHeader('Cache-Control', 'no-store');
+  } else {
+    const maxAge = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+    res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+  }
+
+  // req.fresh compares If-None-Match against the ETag set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(entry.body);
+}
+
+// Return a result from the cache, or produce and store it. nocache skips
+// the lookup but still refreshes the stored entry.
+async function getCached(params, { type, url, options }, produce) {
+  const key = cacheKey(type, url, options);
+  const noCache = parseBoolean(params.nocache, false);
+
+  if (!noCache) {
+    const cached = await cache.get(key);
+    if (cached) return { entry: cached, cacheStatus: 'HIT' };
+  }
+
+  const entry = createEntry(url, await produce(), CACHE_TTL);
   try {
-    page = await browser.newPage();
-    await configurePage(page);
+    await cache.set(key, entry);
+  } catch (error) {
+    console.error('Cache write error:', error);
+  }
+  return { entry, cacheStatus: noCache ? 'BYPASS' : 'MISS' };
+}
+
+async function sendCached(req, res, params, request, produce) {
+  const { entry, cacheStatus } = await getCached(params, request, produce);
+  sendEntry(req, res, entry, cacheStatus);
+}
+
+// Typed error for a failed page.goto(), from Chrome's net::ERR_* codes
+function navigationError(error, timeout) {
+  if (error.name === 'TimeoutError') {
+    return new RequestError(504, 'NAVIGATION_TIMEOUT', 'Navigation timed out', `Page did not finish loading within ${timeout}ms`);
+  }
+  const match = /net::(ERR_[A-Z0-9_]+)/.exec(error.message);
+  if (!match) return error;
+  if (match[1] === 'ERR_NAME_NOT_RESOLVED') {
+    return new RequestError(502, 'DNS_FAILURE', 'DNS lookup failed', error.message, { netError: match[1] });
+  }
+  return new RequestError(502, 'TARGET_UNREACHABLE', 'Target unreachable', error.message, { netError: match[1] });
+}
+
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NODATA'];
+
+// Typed error for a connection to url that the policy proxy blocked or could
+// not make; null when the proxy saw no recent failure for it
+function proxyError(url) {
+  const error = policyProxy.failure(url);
+  if (!error) return null;
+  if (error instanceof PolicyError) return error;
+  if (DNS_ERROR_CODES.includes(error.code)) {
+    return new RequestError(502, 'DNS_FAILURE', 'DNS lookup failed', error.message, { netError: error.code });
+  }
+  return new RequestError(502, 'TARGET_UNREACHABLE', 'Target unreachable', error.message, { netError: error.code || null });
+}
+
+// Typed error for a target that answered with HTTP 4xx or 5xx
+function targetStatusError(status) {
+  if (status >= 500) {
+    return new RequestError(502, 'TARGET_SERVER_ERROR', 'Target server error', `Target responded with HTTP ${status}`, { targetStatus: status });
+  }
+  return new RequestError(424, 'TARGET_CLIENT_ERROR', 'Target client error', `Target responded with HTTP ${status}`, { targetStatus: status });
+}
+
+async function loadPage(page, url, { wait, context = null, allowHttpErrors = false }, timings, diagnostics = null) {
+  // Reject blocked targets before the browser touches them, then guard redirects and subresources
+  await urlPolicy.check(url);
+  const policy = await urlPolicy.guardPage(page, { extraHeaders: context && originHeaders(url, context) });
+
+  // Load page
+  const response = await timings.measure('navigation', async () => {
+    try {
+      return await page.goto(url, { waitUntil: wait.waitUntil, timeout: wait.navigationTimeout });
+    } catch (error) {
+      // Chrome reports every tunnel the proxy could not open the same way
+      const tunnelFailed = /net::ERR_TUNNEL_CONNECTION_FAILED/.test(error.message);
+      throw policy.navigationError ||
+        (tunnelFailed && proxyError(policy.navigationUrl || url)) ||
+        navigationError(error, wait.navigationTimeout);
+    }
+  });
+  if (diagnostics) {
+    diagnostics.recordNavigation(response);
+  }
+  // The proxy answered for a plain HTTP target it could not reach
+  if (response && response.headers()[PROXY_ERROR_HEADER]) {
+    throw proxyError(response.url()) ||
+      new RequestError(502, 'TARGET_UNREACHABLE', 'Target unreachable', `Could not connect to ${response.url()}`, { netError: null });
+  }
+  if (response && response.status() >= 400 && !allowHttpErrors) {
+    throw targetStatusError(response.status());
+  }
+
+  // Wait for content
+  await waitForPage(page, wait, timings);
+}
+
+// Run fn on a pooled page with fresh timings and diagnostics. Diagnostics are
+// attached to errors so failed renders can report them too.
+function runPage(type, url, options, fn) {
+  return pool.run({ type, url }, async (page) => {
+    const timings = new Timings();
+    const diagnostics = new Diagnostics(page, timings);
+    try {
+      return await fn(page, timings, diagnostics);
+    } catch (error) {
+      if (options.diagnostics) {
+        error.diagnostics = diagnostics.toJSON();
+      }
+      throw error;
+    }
+  });
+}
 
-    // Load page
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+// Run the request's scripted actions; null when there are none
+async function performActions(page, actions, timings) {
+  if (!actions.length) return null;
+  return timings.measure('actions', () => runActions(page, actions));
+}
 
-    // Wait for content
-    await page.waitForTimeout(2000);
+// What to do when a page has no article: raw captures the page as it is,
+// error fails with NOT_READERABLE, and reader-force skips the readerable
+// pre-check and uses whatever Readability finds
+const NOT_READERABLE_POLICIES = ['raw', 'error', 'reader-force'];
 
-    // Inject Readability
-    await page.addScriptTag({ content: READABILITY_JS });
+function getReaderablePolicy(params, defaultPolicy) {
+  return parseChoice(params.onNotReaderable, 'onNotReaderable', defaultPolicy, NOT_READERABLE_POLICIES);
+}
+
+// The site rule to apply to url, unless the request turned site rules off
+function getSiteRule(url, options) {
+  return options.siteRules ? findSiteRule(url) : null;
+}
 
-    // Parse article and render reader view (following the Gist pattern)
-    await page.evaluate(() => {
-      // Parse article using Readability
+// Run the readerable pre-check and, unless it vetoes the page, Readability.
+// Resolves with the article (null when none was found), a readerable report
+// (whether extraction succeeded plus the pre-check score and confidence) and
+// Readability's log when the readability options ask for debug, and its
+// scoring trace when they ask for trace. Tracing tags every element of the
+// page with Readability's trace attribute; annotatePage() removes the tags.
+//
+// A site rule first removes its remove selectors, then narrows the document to
+// its content selector's matches, which also overrides the pre-check. Its
+// title, byline and date selectors replace what Readability found.
+async function parseArticle(page, policy, { siteRule = null, readability = {} } = {}) {
+  const readabilityOptions = buildReadabilityOptions(siteRule ? siteRule.readability : {}, readability);
+
+  // Inject Readability
+  await page.addScriptTag({ content: READABILITY_JS });
+
+  // Parse article using Readability (following the Gist pattern)
+  try {
+    const { article, check, contentMatched, debugLog, trace } = await page.evaluate((force, rule, options, debugLimits) => {
+      const query = (root, selector) => {
+        try {
+          return Array.from(root.querySelectorAll(selector));
+        } catch (error) {
+          return [];
+        }
+      };
+
+      const check = getReaderableScore(document);
+      if (options.trace) {
+        document.querySelectorAll('*').forEach((el, index) => el.setAttribute(Readability.prototype.TRACE_ATTRIBUTE, index));
+      }
       const documentClone = document.cloneNode(true);
-      const article = new Readability(documentClone).parse();
+      let contentMatched = false;
+      if (rule) {
+        for (const selector of rule.remove) {
+          query(documentClone, selector).forEach(el => el.remove());
+        }
+        const content = rule.content.map(selector => query(documentClone, selector)).find(list => list.length);
+        if (content) {
+          // Nested matches stay inside their outermost match
+          const outermost = content.filter(el => !content.some(other => other !== el && other.contains(el)));
+          documentClone.body.replaceChildren(...outermost);
+          contentMatched = true;
+        }
+      }
 
-      if (!article) {
-        return;
+      if (!check.readerable && !force && !contentMatched) {
+        return { article: null, check, contentMatched, debugLog: null, trace: null };
       }
 
-      // Replace body with clean reader view
-      document.body.innerHTML = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-              line-height: 1.6;
-              max-width: 800px;
-              margin: 0 auto;
-              padding: 40px 20px;
-              background: #fff;
-              color: #333;
-            }
-            h1 {
-              font-size: 2.5em;
-              margin-bottom: 0.3em;
-              line-height: 1.2;
-            }
-            .byline {
-              color: #666;
-              font-style: italic;
-              margin-bottom: 1.5em;
-              font-size: 0.95em;
-            }
-            .content {
-              font-size: 1.1em;
-            }
-            .content p {
-              margin: 1.2em 0;
-            }
-            .content img {
-              max-width: 100%;
-              height: auto;
-              display: block;
-              margin: 1.5em auto;
-            }
-            .content h2 {
-              margin-top: 1.5em;
-              margin-bottom: 0.5em;
-            }
-            .content ul, .content ol {
-              margin: 1em 0;
-              padding-left: 2em;
-            }
-            .content blockquote {
-              border-left: 3px solid #ddd;
-              margin: 1.5em 0;
-              padding-left: 1em;
-              color: #666;
-            }
-          </style>
-        </head>
-        <body>
-          <h1>${article.title}</h1>
-          ${article.byline ? `<div class="byline">${article.byline}</div>` : ''}
-          <div class="content">
-            ${article.content}
-          </div>
-        </body>
-        </html>
-      `;
+      const reader = new Readability(documentClone, {
+        ...options,
+        allowedVideoRegex: options.allowedVideoRegex ? new RegExp(options.allowedVideoRegex, 'i') : undefined
+      });
+      // Collect the debug log instead of writing it to the page's console
+      const debugLog = options.debug ? [] : null;
+      if (debugLog) {
+        const describe = (arg) => {
+          if (!arg || !arg.nodeType) return String(arg);
+          if (arg.nodeType === Node.TEXT_NODE) return `${arg.nodeName} ("${arg.textContent}")`;
+          const attributes = Array.from(arg.attributes || [], attr => `${attr.name}="${attr.value}"`).join(' ');
+          return `<${arg.localName} ${attributes}>`;
+        };
+        reader.log = (...args) => {
+          if (debugLog.length >= debugLimits.entries) return;
+          debugLog.push(args.map(describe).join(' ').slice(0, debugLimits.length));
+        };
+      }
+      const article = reader.parse();
+
+      if (article && rule) {
+        const find = (selector) => selector ? query(document, selector)[0] : null;
+        const text = (el) => el ? el.textContent.replace(/\s+/g, ' ').trim() || null : null;
+        const title = text(find(rule.title));
+        const byline = text(find(rule.byline));
+        const date = find(rule.date);
+        if (title) article.title = title;
+        if (byline) {
+          article.byline = byline;
+          article.authors = [byline];
+        }
+        if (date) {
+          article.publishedTime = date.getAttribute('datetime') || date.getAttribute('content') || text(date);
+        }
+      }
+      return { article, check, contentMatched, debugLog, trace: reader._trace };
+    }, policy === 'reader-force', siteRule, readabilityOptions, { entries: MAX_DEBUG_ENTRIES, length: MAX_DEBUG_ENTRY_LENGTH });
+
+    const readerable = { extracted: Boolean(article), ...check };
+    if (siteRule) {
+      readerable.siteRule = { name: siteRule.name, contentMatched };
+    }
+    return { article, readerable, debugLog, trace };
+  } catch (error) {
+    // Readability refuses documents with more than maxElemsToParse elements
+    if (/Aborting parsing document/.test(error.message)) {
+      throw new RequestError(413, 'READABILITY_ABORTED', 'Document too large', error.message.replace(/^Error: /, ''));
+    }
+    throw error;
+  }
+}
+
+// Follow next-page links from a parsed article page, up to options.pages
+// pages, and merge the articles into one. A page that fails to load or has no
+// article ends the run; the pages found so far are still merged.
+async function followPages(page, url, article, options, timings) {
+  const pages = [{ url: page.url(), article, link: null }];
+  const visited = [url, page.url()];
+  let stopped = 'limit';
+
+  while (pages.length < options.pages) {
+    const next = await page.evaluate((visited, pageNumber) => {
+      return findNextPageLink(document, { visited, page: pageNumber });
+    }, visited, pages.length);
+    if (!next) {
+      stopped = 'no-next-link';
+      break;
+    }
+    visited.push(next.url);
+
+    try {
+      await loadPage(page, next.url, options, timings);
+      await timings.measure('overlays', () => dismissOverlays(page, options.overlays));
+      const parsed = await timings.measure('readability', () => parseArticle(page, 'reader-force', {
+        siteRule: getSiteRule(next.url, options),
+        readability: options.readability
+      }));
+      if (!parsed.article) {
+        stopped = 'no-article';
+        break;
+      }
+      pages.push({ url: next.url, article: parsed.article, link: next.reason });
+    } catch (error) {
+      stopped = `error: ${error.message}`;
+      // The failed page may still be loading; merge in an empty document instead
+      await page.goto('about:blank').catch(() => {});
+      break;
+    }
+  }
+
+  return timings.measure('merge', () => mergePages(page, pages, stopped));
+}
+
+// Enforce the policy for a page without an article; only raw lets it through
+function checkReaderable({ article, readerable }, policy) {
+  if (article || policy === 'raw') return;
+  throw new RequestError(
+    422,
+    'NOT_READERABLE',
+    'Failed to extract article',
+    readerable.readerable || policy === 'reader-force'
+      ? 'Readability could not find article content on this page'
+      : `Page does not look like an article (readerable confidence ${readerable.confidence})`,
+    { readerable }
+  );
+}
+
+function readerableHeaders(readerable) {
+  const headers = {
+    'X-Reader-Extracted': String(readerable.extracted),
+    'X-Reader-Confidence': String(readerable.confidence)
+  };
+  if (readerable.siteRule) {
+    headers['X-Site-Rule'] = readerable.siteRule.name;
+  }
+  return headers;
+}
+
+const SANITIZE_IFRAMES = ['remove', 'video', 'keep'];
+const TAG_NAME_PATTERN = /^[a-z][a-z0-9-]*$/i;
+const MAX_ALLOWED_NAMES = 200;
+
+// Tag or attribute names from a comma separated string or an array
+function parseNameList(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  if (names.length > MAX_ALLOWED_NAMES) {
+    throw new Error(`${name} may contain at most ${MAX_ALLOWED_NAMES} names`);
+  }
+  const invalid = names.find(item => !TAG_NAME_PATTERN.test(item));
+  if (invalid) {
+    throw new Error(`Invalid ${name} entry "${invalid}"`);
+  }
+  return names;
+}
+
+// Validate sanitizer parameters, throwing on invalid values. Server-wide
+// allow-lists come from SANITIZE_ALLOWED_TAGS and SANITIZE_ALLOWED_ATTRIBUTES;
+// without either, the sanitizer's built-in lists apply.
+function getSanitizeOptions(params) {
+  return {
+    enabled: parseBoolean(params.sanitize, true),
+    allowedTags: parseNameList(params.allowedTags, 'allowedTags') ||
+      parseNameList(process.env.SANITIZE_ALLOWED_TAGS, 'SANITIZE_ALLOWED_TAGS'),
+    allowedAttributes: parseNameList(params.allowedAttributes, 'allowedAttributes') ||
+      parseNameList(process.env.SANITIZE_ALLOWED_ATTRIBUTES, 'SANITIZE_ALLOWED_ATTRIBUTES'),
+    iframes: parseChoice(params.iframes, 'iframes', 'video', SANITIZE_IFRAMES)
+  };
+}
+
+// Run fn(...args) with sources loaded in a new isolated world of the page's main
+// frame. It sees the page's DOM but none of its scripts' globals or patched
+// prototypes, so a hostile page cannot tamper with the result.
+async function evaluateIsolated(page, sources, fn, ...args) {
+  const session = await page.createCDPSession();
+  try {
+    const { frameTree } = await session.send('Page.getFrameTree');
+    const { executionContextId } = await session.send('Page.createIsolatedWorld', {
+      frameId: frameTree.frame.id,
+      worldName: 'isolated'
+    });
+    const { result, exceptionDetails } = await session.send('Runtime.evaluate', {
+      expression: `${sources.join('\n;')}\n;(${fn})(...${JSON.stringify(args)})`,
+      contextId: executionContextId,
+      returnByValue: true,
+      awaitPromise: true
     });
+    if (exceptionDetails) {
+      throw new Error(exceptionDetails.exception ? exceptionDetails.exception.description : exceptionDetails.text);
+    }
+    return result.value;
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+// Sanitize article.content in place, isolated from the page's scripts. Video
+// iframes are those Readability keeps: allowedVideoHosts when given.
+// Resolves with counts of what was removed, or null when sanitizing is disabled.
+async function sanitizeArticle(page, article, { sanitize, readability }) {
+  if (!sanitize.enabled) return null;
+  const { content, report } = await evaluateIsolated(page, [FRAGMENT_JS, SANITIZER_JS], (html, options) => {
+    const sanitizer = new ContentSanitizer(options);
+    return { content: sanitizer.sanitize(html), report: sanitizer.report() };
+  }, article.content, {
+    allowedTags: sanitize.allowedTags,
+    allowedAttributes: sanitize.allowedAttributes,
+    iframes: sanitize.iframes,
+    videoRegex: readability.allowedVideoRegex
+  });
+  article.content = content;
+  return report;
+}
+
+// Whole-page content for extract with onNotReaderable=raw, shaped like an article
+function extractRawArticle(page) {
+  return page.evaluate(() => {
+    const body = document.body.cloneNode(true);
+    body.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+    const textContent = body.textContent;
+    return {
+      title: document.title,
+      byline: null,
+      authors: [],
+      dir: document.dir || null,
+      lang: document.documentElement.lang || null,
+      content: body.innerHTML,
+      textContent,
+      length: textContent.length,
+      wordCount: null,
+      readingTime: null,
+      excerpt: null,
+      siteName: null,
+      publishedTime: null,
+      modifiedTime: null,
+      section: null,
+      tags: [],
+      image: null,
+      canonicalUrl: null,
+      favicon: null,
+      publisherLogo: null
+    };
+  });
+}
+
+async function renderReaderView(page, article, readerOptions) {
+  const html = buildReaderHtml(article, readerOptions);
+
+  await page.evaluate((html) => {
+    // Replace the whole document with the clean reader view
+    const readerDocument = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.adoptNode(readerDocument.documentElement), document.documentElement);
+  }, html);
+}
 
-    // Wait for images to load
-    await page.waitForTimeout(2000);
+const CAPTURE_MODES = ['auto', 'reader', 'raw'];
+const IMAGE_TYPES = ['png', 'jpeg', 'webp'];
+const MAX_VIEWPORT_SIZE = 4096;
+const MAX_CLIP_OFFSET = 32768;
+
+// Build viewport and page.screenshot() options from request parameters, throwing on invalid values
+function getScreenshotOptions(params) {
+  const mode = parseChoice(params.mode, 'mode', 'auto', CAPTURE_MODES);
+  const type = parseChoice(String(params.type || 'png').replace(/^jpg$/i, 'jpeg'), 'type', 'png', IMAGE_TYPES);
+
+  const viewport = {
+    width: parseInteger(params.width, 'width', 1920, 100, MAX_VIEWPORT_SIZE),
+    height: parseInteger(params.height, 'height', 1080, 100, MAX_VIEWPORT_SIZE),
+    deviceScaleFactor: parseNumber(params.deviceScaleFactor, 'deviceScaleFactor', 1, 0.5, 3)
+  };
+
+  const screenshot = { type };
+
+  const quality = parseInteger(params.quality, 'quality', undefined, 1, 100);
+  if (quality !== undefined) {
+    if (type === 'png') {
+      throw new Error('quality is only supported for jpeg and webp');
+    }
+    screenshot.quality = quality;
+  }
+
+  // Clip may be given as an object in the POST body or as clipX/clipY/clipWidth/clipHeight
+  const clip = typeof params.clip === 'object' && params.clip !== null ? params.clip : {
+    x: params.clipX, y: params.clipY, width: params.clipWidth, height: params.clipHeight
+  };
+  if ([clip.x, clip.y, clip.width, clip.height].some(v => v !== undefined && v !== '')) {
+    screenshot.clip = {
+      x: parseNumber(clip.x, 'clip x', 0, 0, MAX_CLIP_OFFSET),
+      y: parseNumber(clip.y, 'clip y', 0, 0, MAX_CLIP_OFFSET),
+      width: parseNumber(clip.width, 'clip width', undefined, 1, MAX_CLIP_OFFSET),
+      height: parseNumber(clip.height, 'clip height', undefined, 1, MAX_CLIP_OFFSET)
+    };
+    if (screenshot.clip.width === undefined || screenshot.clip.height === undefined) {
+      throw new Error('clip requires both width and height');
+    }
+  }
+
+  const selector = params.selector ? String(params.selector) : undefined;
+  if (selector && screenshot.clip) {
+    throw new Error('selector and clip cannot be combined');
+  }
+
+  // Clip and element captures are never full page
+  screenshot.fullPage = !screenshot.clip && !selector && parseBoolean(params.fullPage, true);
+
+  // An explicit reader mode should not be vetoed by the readerable pre-check
+  const onNotReaderable = getReaderablePolicy(params, mode === 'reader' ? 'reader-force' : 'raw');
+
+  return { mode, viewport, screenshot, selector, reader: getReaderOptions(params), onNotReaderable,
+    wait: getWaitOptions(params),
+    overlays: getOverlayOptions(params),
+    context: getContextOptions(params),
+    actions: getActions(params.actions),
+    sanitize: getSanitizeOptions(params),
+    pages: getPagesOption(params),
+    siteRules: parseBoolean(params.siteRules, true),
+    readability: getReadabilityOptions(params),
+    allowHttpErrors: parseBoolean(params.allowHttpErrors, false),
+    diagnostics: parseBoolean(params.diagnostics, false)
+  };
+}
+
+async function captureScreenshot(url, options) {
+  const { screenshot, mode, readerable, pagination, overlays, actions, timings, diagnostics } = await runPage('screenshot', url, options, async (page, timings, diagnostics) => {
+    await configurePage(page, url, options);
+    await loadPage(page, url, options, timings, diagnostics);
+    const overlays = await timings.measure('overlays', () => dismissOverlays(page, options.overlays));
+    const actions = await performActions(page, options.actions, timings);
+
+    let mode = 'raw';
+    let readerable = null;
+    let pagination = null;
+    if (options.mode !== 'raw') {
+      // Parse article and render reader view
+      const parsed = await timings.measure('readability', () => parseArticle(page, options.onNotReaderable, {
+        siteRule: getSiteRule(url, options),
+        readability: options.readability
+      }));
+      checkReaderable(parsed, options.onNotReaderable);
+      readerable = parsed.readerable;
+      if (parsed.article && options.pages > 1) {
+        parsed.article = await followPages(page, url, parsed.article, options, timings);
+        pagination = parsed.article.pagination;
+      }
+      if (parsed.article) {
+        await timings.measure('sanitize', () => sanitizeArticle(page, parsed.article, options));
+        await timings.measure('render', () => renderReaderView(page, parsed.article, options.reader));
+        mode = 'reader';
+
+        // Wait for images to load
+        await waitForReaderView(page, options.wait, timings);
+      }
+    }
 
     // Take screenshot
-    const screenshot = await page.screenshot({
-      fullPage: true,
-      type: 'png'
-    });
+    let target = page;
+    if (options.selector) {
+      target = await page.$(options.selector);
+      if (!target) {
+        throw new RequestError(422, 'ELEMENT_NOT_FOUND', 'Element not found', `No element matches selector "${options.selector}"`);
+      }
+    }
+
+    const screenshot = await timings.measure('capture', () => target.screenshot(options.screenshot));
+    return { screenshot, mode, readerable, pagination, overlays, actions, timings, diagnostics };
+  });
+
+  const extension = options.screenshot.type === 'jpeg' ? 'jpg' : options.screenshot.type;
+  const headers = {
+    'Content-Disposition': `attachment; filename="screenshot.${extension}"`,
+    'X-Capture-Mode': mode,
+    'X-Overlay-Rules': reportHeader(overlays),
+    'Server-Timing': timings.header()
+  };
+  if (readerable) {
+    Object.assign(headers, readerableHeaders(readerable));
+  }
+  if (pagination) {
+    headers['X-Article-Pages'] = String(pagination.pages.length);
+  }
+  if (actions) {
+    headers['X-Actions'] = actionsHeader(actions);
+  }
+  if (options.diagnostics) {
+    Object.assign(headers, diagnostics.headers());
+  }
+  return {
+    body: screenshot,
+    contentType: `image/${options.screenshot.type}`,
+    headers
+  };
+}
+
+async function handleScreenshot(req, res) {
+  const params = getParams(req);
+  const { url } = params;
+
+  if (!url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let options;
+  try {
+    options = getScreenshotOptions(params);
+  } catch (error) {
+    return res.status(400).json({ code: 'INVALID_OPTIONS', error: 'Invalid screenshot options', message: error.message });
+  }
+
+  try {
+    authorizeRender(req.apiClient, 'screenshot', options);
+    await sendCached(req, res, params, { type: 'screenshot', url, options }, () => captureScreenshot(url, options));
+  } catch (error) {
+    sendError(res, error, 'Screenshot', 'Failed to capture screenshot');
+  }
+}
+
+app.get('/screenshot', handleScreenshot);
+app.post('/screenshot', handleScreenshot);
+
+const EXTRACT_FORMATS = ['json', 'markdown', 'text'];
+const FRONT_MATTER_FIELDS = [
+  'title', 'byline', 'authors', 'siteName', 'section', 'tags', 'publishedTime', 'modifiedTime',
+  'lang', 'canonicalUrl', 'image', 'excerpt', 'length', 'wordCount', 'readingTime'
+];
+
+// Validate /extract parameters, throwing on invalid values
+function getExtractOptions(params) {
+  return {
+    format: parseChoice(params.format, 'format', 'json', EXTRACT_FORMATS),
+    // Not "width", which batch items share with the screenshot viewport
+    textWidth: parseInteger(params.textWidth, 'textWidth', 80, 0, 500),
+    frontMatter: parseBoolean(params.frontMatter, true),
+    onNotReaderable: getReaderablePolicy(params, 'reader-force'),
+    wait: getWaitOptions(params),
+    overlays: getOverlayOptions(params),
+    context: getContextOptions(params),
+    actions: getActions(params.actions),
+    sanitize: getSanitizeOptions(params),
+    pages: getPagesOption(params),
+    siteRules: parseBoolean(params.siteRules, true),
+    readability: getReadabilityOptions(params),
+    allowHttpErrors: parseBoolean(params.allowHttpErrors, false),
+    diagnostics: parseBoolean(params.diagnostics, false)
+  };
+}
+
+// Convert the article content to Markdown or plain text, isolated from the page's scripts
+async function formatArticle(page, article, options) {
+  return evaluateIsolated(page, [FRAGMENT_JS, FORMATTER_JS], (html, options) => {
+    return new ArticleFormatter(options).format(html);
+  }, article.content, { format: options.format, width: options.format === 'text' ? options.textWidth : 0 });
+}
+
+// YAML front matter block; JSON strings double as valid YAML scalars
+function buildFrontMatter(url, article) {
+  const lines = [`url: ${JSON.stringify(url)}`];
+  for (const field of FRONT_MATTER_FIELDS) {
+    const value = article[field];
+    if (value != null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      lines.push(`${field}: ${JSON.stringify(value)}`);
+    }
+  }
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+async function extractArticle(url, options) {
+  const { result, readerable, debugLog, sanitized, overlays, actions, timings, diagnostics } = await runPage('extract', url, options, async (page, timings, diagnostics) => {
+    await configurePage(page, url, options);
+    await loadPage(page, url, options, timings, diagnostics);
+    const overlays = await timings.measure('overlays', () => dismissOverlays(page, options.overlays));
+    const actions = await performActions(page, options.actions, timings);
+
+    const parsed = await timings.measure('readability', () => parseArticle(page, options.onNotReaderable, {
+      siteRule: getSiteRule(url, options),
+      readability: options.readability
+    }));
+    checkReaderable(parsed, options.onNotReaderable);
+    if (parsed.article && options.pages > 1) {
+      parsed.article = await followPages(page, url, parsed.article, options, timings);
+    }
+    const article = parsed.article || await extractRawArticle(page);
+    const sanitized = await timings.measure('sanitize', () => sanitizeArticle(page, article, options));
+    if (options.format !== 'json') {
+      article.formatted = await timings.measure('format', () => formatArticle(page, article, options));
+    }
+    return { result: article, readerable: parsed.readerable, debugLog: parsed.debugLog, sanitized, overlays, actions, timings, diagnostics };
+  });
+
+  const headers = {
+    'X-Overlay-Rules': reportHeader(overlays),
+    'Server-Timing': timings.header(),
+    ...readerableHeaders(readerable)
+  };
+  if (result.pagination) {
+    headers['X-Article-Pages'] = String(result.pagination.pages.length);
+  }
+  if (actions) {
+    headers['X-Actions'] = actionsHeader(actions);
+  }
+  if (options.diagnostics) {
+    Object.assign(headers, diagnostics.headers());
+  }
+
+  if (options.format === 'json') {
+    return {
+      body: Buffer.from(JSON.stringify({
+        url, ...result, readerable, ...(sanitized && { sanitized }), overlays, ...(actions && { actions }), timings,
+        ...(options.diagnostics && { diagnostics }),
+        ...(debugLog && { debugLog })
+      })),
+      contentType: 'application/json; charset=utf-8',
+      headers
+    };
+  }
+
+  const { formatted, ...article } = result;
+  return {
+    body: Buffer.from((options.frontMatter ? buildFrontMatter(url, article) : '') + formatted),
+    contentType: `${options.format === 'markdown' ? 'text/markdown' : 'text/plain'}; charset=utf-8`,
+    headers
+  };
+}
+
+async function handleExtract(req, res) {
+  const params = getParams(req);
+  const { url } = params;
+
+  if (!url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let options;
+  try {
+    // /extract alone still takes the text width as width
+    options = getExtractOptions({ textWidth: params.width, ...params });
+  } catch (error) {
+    return res.status(400).json({ code: 'INVALID_OPTIONS', error: 'Invalid extract options', message: error.message });
+  }
+
+  try {
+    authorizeRender(req.apiClient, 'extract', options);
+    await sendCached(req, res, params, { type: 'extract', url, options }, () => extractArticle(url, options));
+  } catch (error) {
+    sendError(res, error, 'Extract', 'Failed to extract article');
+  }
+}
+
+app.get('/extract', handleExtract);
+app.post('/extract', handleExtract);
+
+const PDF_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+const PDF_MARGIN_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+
+const PDF_HEADER_TEMPLATE = `
+  <div style="font-size: 8px; width: 100%; padding: 0 1.5cm; color: #666; display: flex; justify-content: space-between;">
+    <span class="title"></span>
+    <span class="url"></span>
+  </div>`;
 
-    await page.close();
+const PDF_FOOTER_TEMPLATE = `
+  <div style="font-size: 8px; width: 100%; padding: 0 1.5cm; color: #666; text-align: center;">
+    Page <span class="pageNumber"></span> of <span class="totalPages"></span>
+  </div>`;
 
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Content-Disposition', 'attachment; filename="screenshot.png"');
-    res.send(screenshot);
+// Build page.pdf() options from request parameters, throwing on invalid values
+function getPdfOptions(params) {
+  const pageFormat = parseChoice(params.pageSize, 'pageSize', 'A4', PDF_FORMATS);
 
+  const margin = {};
+  for (const side of ['top', 'right', 'bottom', 'left']) {
+    const key = `margin${side[0].toUpperCase()}${side.slice(1)}`;
+    const value = String(params[key] || params.margin || (side === 'top' || side === 'bottom' ? '2cm' : '1.5cm'));
+    if (!PDF_MARGIN_PATTERN.test(value)) {
+      throw new Error(`Invalid ${key} "${value}". Use a number with px, in, cm or mm`);
+    }
+    margin[side] = value;
+  }
+
+  const header = parseBoolean(params.header, true);
+  const footer = parseBoolean(params.footer, true);
+
+  return {
+    format: pageFormat,
+    landscape: parseBoolean(params.landscape, false),
+    printBackground: parseBoolean(params.printBackground, true),
+    margin,
+    displayHeaderFooter: header || footer,
+    headerTemplate: header ? PDF_HEADER_TEMPLATE : '<span></span>',
+    footerTemplate: footer ? PDF_FOOTER_TEMPLATE : '<span></span>'
+  };
+}
+
+function getPdfRequestOptions(params) {
+  return {
+    pdf: getPdfOptions(params),
+    reader: getReaderOptions(params, { theme: 'print' }),
+    onNotReaderable: getReaderablePolicy(params, 'raw'),
+    wait: getWaitOptions(params),
+    overlays: getOverlayOptions(params),
+    context: getContextOptions(params),
+    actions: getActions(params.actions),
+    sanitize: getSanitizeOptions(params),
+    pages: getPagesOption(params),
+    siteRules: parseBoolean(params.siteRules, true),
+    readability: getReadabilityOptions(params),
+    allowHttpErrors: parseBoolean(params.allowHttpErrors, false),
+    diagnostics: parseBoolean(params.diagnostics, false)
+  };
+}
+
+async function generatePdf(url, options) {
+  const { pdf, readerable, pagination, overlays, actions, timings, diagnostics } = await runPage('pdf', url, options, async (page, timings, diagnostics) => {
+    await configurePage(page, url, options);
+    await loadPage(page, url, options, timings, diagnostics);
+    const overlays = await timings.measure('overlays', () => dismissOverlays(page, options.overlays));
+    const actions = await performActions(page, options.actions, timings);
+
+    const parsed = await timings.measure('readability', () => parseArticle(page, options.onNotReaderable, {
+      siteRule: getSiteRule(url, options),
+      readability: options.readability
+    }));
+    checkReaderable(parsed, options.onNotReaderable);
+    if (parsed.article && options.pages > 1) {
+      parsed.article = await followPages(page, url, parsed.article, options, timings);
+    }
+    if (parsed.article) {
+      await timings.measure('sanitize', () => sanitizeArticle(page, parsed.article, options));
+      await timings.measure('render', () => renderReaderView(page, parsed.article, options.reader));
+
+      // Wait for images to load
+      await waitForReaderView(page, options.wait, timings);
+    }
+
+    const pdf = await timings.measure('capture', () => page.pdf(options.pdf));
+    const pagination = parsed.article ? parsed.article.pagination : null;
+    return { pdf, readerable: parsed.readerable, pagination, overlays, actions, timings, diagnostics };
+  });
+
+  const headers = {
+    'Content-Disposition': 'attachment; filename="article.pdf"',
+    'X-Overlay-Rules': reportHeader(overlays),
+    'Server-Timing': timings.header(),
+    ...readerableHeaders(readerable)
+  };
+  if (pagination) {
+    headers['X-Article-Pages'] = String(pagination.pages.length);
+  }
+  if (actions) {
+    headers['X-Actions'] = actionsHeader(actions);
+  }
+  if (options.diagnostics) {
+    Object.assign(headers, diagnostics.headers());
+  }
+  return {
+    body: pdf,
+    contentType: 'application/pdf',
+    headers
+  };
+}
+
+async function handlePdf(req, res) {
+  const params = getParams(req);
+  const { url } = params;
+
+  if (!url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let options;
+  try {
+    options = getPdfRequestOptions(params);
+  } catch (error) {
+    return res.status(400).json({ code: 'INVALID_OPTIONS', error: 'Invalid PDF options', message: error.message });
+  }
+
+  try {
+    authorizeRender(req.apiClient, 'pdf', options);
+    await sendCached(req, res, params, { type: 'pdf', url, options }, () => generatePdf(url, options));
+  } catch (error) {
+    sendError(res, error, 'PDF', 'Failed to generate PDF');
+  }
+}
+
+app.get('/pdf', handlePdf);
+app.post('/pdf', handlePdf);
+
+// Validate /extract/debug parameters, throwing on invalid values
+function getExtractDebugOptions(params) {
+  return {
+    ...getDebugOptions(params),
+    wait: getWaitOptions(params),
+    overlays: getOverlayOptions(params),
+    context: getContextOptions(params),
+    actions: getActions(params.actions),
+    siteRules: parseBoolean(params.siteRules, true),
+    readability: getReadabilityOptions(params),
+    allowHttpErrors: parseBoolean(params.allowHttpErrors, false),
+    diagnostics: parseBoolean(params.diagnostics, false)
+  };
+}
+
+// Trace Readability on the page and draw its candidates and removals over it
+async function debugExtraction(url, options) {
+  const { parsed, report, screenshot, overlays, actions, timings, diagnostics } = await runPage('extract-debug', url, options, async (page, timings, diagnostics) => {
+    await configurePage(page, url, options);
+    await loadPage(page, url, options, timings, diagnostics);
+    const overlays = await timings.measure('overlays', () => dismissOverlays(page, options.overlays));
+    const actions = await performActions(page, options.actions, timings);
+
+    const parsed = await timings.measure('readability', () => parseArticle(page, 'reader-force', {
+      siteRule: getSiteRule(url, options),
+      readability: { ...options.readability, trace: true }
+    }));
+    const report = buildScoreReport(parsed.trace, options.candidates);
+
+    let screenshot = null;
+    if (options.format === 'png' || options.screenshot) {
+      await timings.measure('annotate', () => annotatePage(page, report));
+      screenshot = await timings.measure('capture', () => page.screenshot({ type: 'png', fullPage: true }));
+    }
+    return { parsed, report, screenshot, overlays, actions, timings, diagnostics };
+  });
+
+  const headers = {
+    'X-Overlay-Rules': reportHeader(overlays),
+    'Server-Timing': timings.header(),
+    ...readerableHeaders(parsed.readerable)
+  };
+  const topCandidate = topCandidateHeader(report);
+  if (topCandidate) {
+    headers['X-Top-Candidate'] = topCandidate;
+  }
+  if (actions) {
+    headers['X-Actions'] = actionsHeader(actions);
+  }
+  if (options.diagnostics) {
+    Object.assign(headers, diagnostics.headers());
+  }
+
+  if (options.format === 'png') {
+    return {
+      body: screenshot,
+      contentType: 'image/png',
+      headers: { ...headers, 'Content-Disposition': 'attachment; filename="extraction-debug.png"' }
+    };
+  }
+
+  const { article } = parsed;
+  return {
+    body: Buffer.from(JSON.stringify({
+      url,
+      article: article && { title: article.title, byline: article.byline, length: article.length, excerpt: article.excerpt },
+      readerable: parsed.readerable,
+      report,
+      overlays,
+      ...(actions && { actions }),
+      timings,
+      ...(options.diagnostics && { diagnostics }),
+      ...(parsed.debugLog && { debugLog: parsed.debugLog }),
+      ...(screenshot && { screenshot: screenshot.toString('base64') })
+    })),
+    contentType: 'application/json; charset=utf-8',
+    headers
+  };
+}
+
+async function handleExtractDebug(req, res) {
+  const params = getParams(req);
+  const { url } = params;
+
+  if (!url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let options;
+  try {
+    options = getExtractDebugOptions(params);
+  } catch (error) {
+    return res.status(400).json({ code: 'INVALID_OPTIONS', error: 'Invalid debug options', message: error.message });
+  }
+
+  try {
+    authorizeRender(req.apiClient, 'extract', options);
+    await sendCached(req, res, params, { type: 'extract-debug', url, options }, () => debugExtraction(url, options));
+  } catch (error) {
+    sendError(res, error, 'Extraction debug', 'Failed to debug extraction');
+  }
+}
+
+app.get('/extract/debug', handleExtractDebug);
+app.post('/extract/debug', handleExtractDebug);
+
+// Render types available to /batch and /jobs as render, with their option parsers
+const RENDERERS = {
+  screenshot: { getOptions: getScreenshotOptions, render: captureScreenshot },
+  extract: { getOptions: getExtractOptions, render: extractArticle },
+  pdf: { getOptions: getPdfRequestOptions, render: generatePdf }
+};
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+const BATCH_OUTPUTS = ['json', 'zip'];
+
+const FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+  'application/json': 'json',
+  'text/markdown': 'md',
+  'text/plain': 'txt'
+};
+
+// Split a batch item or job into its render type, named by render, and the
+// parameters for that renderer. type is the screenshot image format; a type
+// naming a renderer is still read as the render type when render is not given.
+function splitRenderType({ render, ...params }) {
+  if (render === undefined && RENDERERS[String(params.type).toLowerCase()]) {
+    const { type, ...rest } = params;
+    return { type: String(type).toLowerCase(), params: rest };
+  }
+  return { type: String(render || 'screenshot').toLowerCase(), params };
+}
+
+// Render one batch item or job, resolving with its result or error instead of throwing.
+// When client is given the item is authorized and charged against its quota.
+async function renderRequest(request, client = null) {
+  const { type, params } = splitRenderType(request);
+  const { url } = params;
+  const result = { url, type };
+
+  try {
+    if (!url) {
+      throw new RequestError(400, 'INVALID_URL', 'Invalid request', 'URL parameter is required');
+    }
+    const renderer = RENDERERS[type];
+    if (!renderer) {
+      throw new RequestError(400, 'INVALID_OPTIONS', 'Invalid request', `Invalid render "${type}". Allowed: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+
+    let options;
+    try {
+      options = renderer.getOptions(params);
+    } catch (error) {
+      throw new RequestError(400, 'INVALID_OPTIONS', 'Invalid request', error.message);
+    }
+
+    authorizeRender(client, type, options);
+
+    const { entry, cacheStatus } = await getCached(params, { type, url, options }, () => renderer.render(url, options));
+    return { ...result, status: 'ok', cache: cacheStatus, entry };
+
+  } catch (error) {
+    const description = describeError(error, `Failed to render ${type}`);
+    if (description.code === 'INTERNAL_ERROR') {
+      console.error(`Render ${type} error:`, error);
+    }
+    if (error.diagnostics) {
+      description.diagnostics = error.diagnostics;
+    }
+    return { ...result, status: 'error', ...description };
+  }
+}
+
+// Run items with at most `concurrency` in flight so a batch never floods the page queue
+async function runBatch(items, defaults, concurrency, client) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = { index, ...await renderRequest({ ...defaults, ...items[index] }, client) };
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+function describeResult({ entry, ...result }) {
+  if (!entry) return result;
+
+  const mimeType = entry.contentType.split(';')[0];
+  const described = { ...result, contentType: entry.contentType };
+  if (mimeType === 'application/json') {
+    described.result = JSON.parse(entry.body.toString('utf8'));
+  } else if (mimeType.startsWith('text/')) {
+    described.text = entry.body.toString('utf8');
+  } else {
+    described.data = entry.body.toString('base64');
+  }
+  return described;
+}
+
+function sendBatchZip(res, results) {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="batch.zip"');
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error('Batch archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  const manifest = results.map(({ entry, ...result }) => {
+    if (!entry) return result;
+
+    const extension = FILE_EXTENSIONS[entry.contentType.split(';')[0]] || 'bin';
+    const file = `${String(result.index + 1).padStart(3, '0')}-${result.type}.${extension}`;
+    archive.append(entry.body, { name: file });
+    return { ...result, contentType: entry.contentType, file };
+  });
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'results.json' });
+  // Archive errors also reject finalize(); the error handler above deals with them
+  archive.finalize().catch(() => {});
+}
+
+app.post('/batch', requireFeature('batch'), async (req, res) => {
+  const { items, defaults = {} } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({ error: `A batch may contain at most ${BATCH_MAX_ITEMS} items` });
+  }
+  if (items.some(item => !item || typeof item !== 'object')) {
+    return res.status(400).json({ error: 'Each item must be an object with a url' });
+  }
+
+  let output;
+  try {
+    output = parseChoice(req.body.output, 'output', 'json', BATCH_OUTPUTS);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid batch options', message: error.message });
+  }
+
+  const results = await runBatch(items, defaults, pool.maxPages, req.apiClient);
+  const failed = results.filter(result => result.status === 'error').length;
+  res.setHeader('X-Batch-Failed', String(failed));
+
+  if (output === 'zip') {
+    return sendBatchZip(res, results);
+  }
+
+  res.json({
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results: results.map(describeResult)
+  });
+});
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+
+const jobs = new JobStore({
+  run: renderRequest,
+  describe: describeResult,
+  checkCallback: (url) => urlPolicy.check(url),
+  concurrency: pool.maxPages,
+  maxPending: parseInt(process.env.JOB_MAX_PENDING, 10) || 100,
+  retention: (parseInt(process.env.JOB_RETENTION_SECONDS, 10) || 3600) * 1000,
+  maxFinished: parseInt(process.env.JOB_MAX_FINISHED, 10) || undefined,
+  maxResultBytes: parseInt(process.env.JOB_MAX_RESULT_BYTES, 10) || undefined
+});
+
+app.post('/jobs', requireFeature('jobs'), async (req, res) => {
+  const { callbackUrl, callbackSecret, api_key, ...params } = getParams(req);
+
+  if (!params.url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let callback = null;
+  if (callbackUrl) {
+    let parsed;
+    try {
+      parsed = new URL(callbackUrl);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid callbackUrl', message: error.message });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return res.status(400).json({ error: 'Invalid callbackUrl', message: 'callbackUrl must use http or https' });
+    }
+    try {
+      await urlPolicy.check(parsed.toString());
+    } catch (error) {
+      return sendError(res, error, 'Job', 'Failed to check callbackUrl');
+    }
+    const secret = callbackSecret || WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(400).json({
+        error: 'Invalid callbackUrl',
+        message: 'Signed callbacks need a callbackSecret or a server WEBHOOK_SECRET'
+      });
+    }
+    callback = { url: parsed.toString(), secret };
+  }
+
+  // Validate options up front so bad requests fail now rather than as a failed job
+  const { type, params: renderParams } = splitRenderType(params);
+  const renderer = RENDERERS[type];
+  let options;
+  try {
+    if (!renderer) {
+      throw new Error(`Invalid render "${type}". Allowed: ${Object.keys(RENDERERS).join(', ')}`);
+    }
+    options = renderer.getOptions(renderParams);
   } catch (error) {
-    console.error('Screenshot error:', error);
-    if (page) await page.close();
-    res.status(500).json({
-      error: 'Failed to capture screenshot',
-      message: error.message
+    return res.status(400).json({ code: 'INVALID_OPTIONS', error: 'Invalid job options', message: error.message });
+  }
+
+  try {
+    authorizeRender(req.apiClient, type, options);
+  } catch (error) {
+    return sendError(res, error, 'Job', 'Failed to create job');
+  }
+
+  const job = jobs.create(type, params, callback, req.apiClient ? req.apiClient.name : null);
+  if (!job) {
+    res.setHeader('Retry-After', '30');
+    return res.status(429).json({ code: 'SERVER_BUSY', error: 'Server busy', message: 'Too many pending jobs', retryAfter: 30 });
+  }
+
+  res.setHeader('Location', `/jobs/${job.id}`);
+  res.status(202).json({ ...jobs.describe(job), statusUrl: `/jobs/${job.id}`, resultUrl: `/jobs/${job.id}/result` });
+});
+
+// Jobs are only visible to the API key that created them
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || (req.apiClient && job.owner !== req.apiClient.name)) return null;
+  return job;
+}
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: 'Unknown or expired job id' });
+  }
+  res.json(jobs.describe(job, parseBoolean(req.query.includeResult, true)));
+});
+
+// Raw result body, as /screenshot, /extract or /pdf would have returned it
+app.get('/jobs/:id/result', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', message: 'Unknown or expired job id' });
+  }
+  if (!job.finishedAt) {
+    res.setHeader('Retry-After', '5');
+    return res.status(409).json({ error: 'Job not finished', status: job.status });
+  }
+  if (!job.result.entry) {
+    return res.status(job.result.statusCode).json({ code: job.result.code, error: job.result.error, message: job.result.message });
+  }
+  sendEntry(req, res, job.result.entry, job.result.cache);
+});
+
+function sendSessionsDisabled(res) {
+  res.status(503).json({ error: 'Sessions disabled', message: 'Set SESSION_SECRET to enable persistent sessions' });
+}
+
+// Log in with scripted steps and store the resulting cookies and localStorage under a name
+app.post('/sessions', requireFeature('sessions'), async (req, res) => {
+  if (!sessions.enabled) return sendSessionsDisabled(res);
+
+  const params = getParams(req);
+  const { url } = params;
+  if (!url) {
+    return res.status(400).json({ code: 'INVALID_URL', error: 'URL parameter is required' });
+  }
+
+  let name, steps, ttl, wait, context;
+  try {
+    name = parseSessionName(params.name);
+    if (!name) {
+      throw new Error('name is required');
+    }
+    steps = getLoginSteps(params.steps);
+    ttl = sessions.getTtl(params.ttl);
+    wait = getWaitOptions(params);
+    context = getContextOptions(params);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid session options', message: error.message });
+  }
+
+  const owner = req.apiClient ? req.apiClient.name : null;
+  const existing = sessions.get(name);
+  if (existing && existing.owner !== owner) {
+    return res.status(409).json({ error: 'Session exists', message: `Session "${name}" belongs to another API key` });
+  }
+
+  try {
+    authorizeRender(req.apiClient, 'sessions', { context });
+    const state = await runPage('session', url, {}, async (page, timings) => {
+      await configurePage(page, url, { context });
+      await loadPage(page, url, { wait, context }, timings);
+      await runLoginSteps(page, steps, (stepUrl) => urlPolicy.check(stepUrl));
+      return captureState(page);
     });
+    const session = await sessions.save(name, { owner, loginUrl: url, ttl, state });
+    res.status(existing ? 200 : 201).json({ ...sessions.describe(session), cookies: state.cookies.length });
+  } catch (error) {
+    // Steps that time out or miss their selector mean the login script failed, not the server
+    if (error.step !== undefined && !(error instanceof PolicyError) && !browserManager.isCrashError(error)) {
+      return sendError(res, new RequestError(422, 'LOGIN_FAILED', 'Login failed', error.message), 'Session');
+    }
+    sendError(res, error, 'Session', 'Failed to create session');
   }
 });
 
+app.get('/sessions', requireFeature('sessions'), (req, res) => {
+  const owner = req.apiClient ? req.apiClient.name : undefined;
+  res.json({ sessions: sessions.list(owner).map(session => sessions.describe(session)) });
+});
+
+app.get('/sessions/:name', requireFeature('sessions'), (req, res) => {
+  const session = findSession(req.apiClient, req.params.name);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found', message: 'Unknown or expired session' });
+  }
+  res.json(sessions.describe(session));
+});
+
+// Change when a session expires, counting ttl seconds from now
+app.patch('/sessions/:name', requireFeature('sessions'), async (req, res) => {
+  if (!findSession(req.apiClient, req.params.name)) {
+    return res.status(404).json({ error: 'Session not found', message: 'Unknown or expired session' });
+  }
+
+  let ttl;
+  try {
+    ttl = sessions.getTtl(getParams(req).ttl);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid session options', message: error.message });
+  }
+
+  try {
+    const session = await sessions.extend(req.params.name, ttl);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found', message: 'Unknown or expired session' });
+    }
+    res.json(sessions.describe(session));
+  } catch (error) {
+    console.error('Session update error:', error);
+    res.status(500).json({ error: 'Failed to update session', message: error.message });
+  }
+});
+
+app.delete('/sessions/:name', requireFeature('sessions'), async (req, res) => {
+  if (!findSession(req.apiClient, req.params.name)) {
+    return res.status(404).json({ error: 'Session not found', message: 'Unknown or expired session' });
+  }
+
+  try {
+    await sessions.delete(req.params.name);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Session delete error:', error);
+    res.status(500).json({ error: 'Failed to delete session', message: error.message });
+  }
+});
+
+app.get('/cache', async (req, res) => {
+  res.json(await cache.stats());
+});
+
+// Purge every cached entry, or only those for ?url=
+app.delete('/cache', requireFeature('admin'), async (req, res) => {
+  try {
+    const url = getParams(req).url;
+    const removed = await cache.purge(url ? normalizeUrl(url) : undefined);
+    res.json({ removed });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
+
+// Usage counters for the calling API key
+app.get('/usage', (req, res) => {
+  if (!req.apiClient) {
+    return res.status(404).json({ error: 'Authentication disabled', message: 'No API keys are configured' });
+  }
+  res.json(ApiKeyAuth.describe(req.apiClient));
+});
+
+app.get('/usage/all', requireFeature('admin'), (req, res) => {
+  res.json({ keys: auth.list() });
+});
+
+app.get('/usage/:name', requireFeature('admin'), (req, res) => {
+  const client = auth.findByName(req.params.name);
+  if (!client) {
+    return res.status(404).json({ error: 'API key not found', message: `No API key named "${req.params.name}"` });
+  }
+  res.json(ApiKeyAuth.describe(client));
+});
+
+app.get('/templates', (req, res) => {
+  res.json(listTemplates());
+});
+
+app.get('/site-rules', (req, res) => {
+  res.json({ rules: listSiteRules() });
+});
+
+// Target URLs can carry tokens, so only admin keys see the page jobs
+app.get('/status', (req, res) => {
+  const client = req.apiClient;
+  res.json({
+    ...pool.status(!client || client.features.includes('admin')),
+    browser: browserManager.status(),
+    proxy: policyProxy.status(),
+    jobs: jobs.status(),
+    sessions: sessions.status()
+  });
+});
+
+// Liveness: fails only once the browser cannot be relaunched at all
+app.get('/healthz', (req, res) => {
+  const healthy = browserManager.isHealthy();
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'failing',
+    browser: browserManager.status()
+  });
+});
+
+// Readiness: the browser is connected and able to take new pages
+app.get('/readyz', (req, res) => {
+  const ready = browserManager.isReady();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    browser: browserManager.status()
+  });
+});
+
 async function shutdown() {
   console.log('\nShutting down gracefully...');
-  if (browser) {
-    await browser.close();
-    console.log('Browser closed');
-  }
+  await browserManager.close();
+  console.log('Browser closed');
   process.exit(0);
 }
 
@@ -175,9 +1662,35 @@ process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 process.on('SIGHUP', shutdown);
 
+if (!auth.enabled) {
+  console.warn('No API keys configured; authentication is disabled');
+}
+
+if (!sessions.enabled) {
+  console.warn('SESSION_SECRET not set; persistent sessions are disabled');
+}
+
+const customTemplates = loadTemplates();
+if (customTemplates.length) {
+  console.log(`Loaded reader templates: ${customTemplates.join(', ')}`);
+}
+
+const siteRules = loadSiteRules();
+if (siteRules.length) {
+  console.log(`Loaded site rules: ${siteRules.join(', ')}`);
+}
+
 initBrowser().then(() => {
   app.listen(PORT, () => {
     console.log(`Screenshot server running on port ${PORT}`);
-    console.log(`Endpoint: GET /screenshot?url=<URL>`);
+    console.log(`Endpoint: GET|POST /screenshot?url=<URL>`);
+    console.log(`Endpoint: GET|POST /extract?url=<URL>`);
+    console.log(`Endpoint: GET|POST /extract/debug?url=<URL>`);
+    console.log(`Endpoint: GET|POST /pdf?url=<URL>`);
+    console.log(`Endpoint: POST /batch`);
+    console.log(`Endpoint: POST /jobs, GET /jobs/:id`);
+    console.log(`Endpoint: GET|POST /sessions, GET|PATCH|DELETE /sessions/:name`);
+    console.log(`Endpoint: GET|DELETE /cache`);
+    console.log(`Endpoint: GET /usage, /templates, /site-rules, /status, /healthz, /readyz`);
   });
 });
@@ -0,0 +1,323 @@
+// Persistent named browser sessions for captures behind a login.
+//
+// A session is created by running a scripted login (goto/type/click/wait
+// steps) in a fresh context, then saving the resulting cookies and
+// localStorage to <dir>/<name>.json. The state is encrypted with AES-256-GCM
+// using a key derived from SESSION_SECRET; only the name, owner and dates are
+// stored in the clear so sessions can be listed without decrypting them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseInteger } = require('./params');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const STEP_ACTIONS = ['goto', 'type', 'click', 'wait'];
+const MAX_STEPS = 50;
+const DEFAULT_STEP_TIMEOUT = 15000;
+
+// Cookie fields accepted by page.setCookie(); CDP returns several more
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+function parseSessionName(value) {
+  if (value === undefined || value === '') return undefined;
+  const name = String(value);
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid session name "${name}". Use 1-64 letters, digits, "-" or "_"`);
+  }
+  return name;
+}
+
+function requireSelector(step, index) {
+  if (!step.selector || typeof step.selector !== 'string') {
+    throw new Error(`Step ${index} (${step.action}) needs a selector`);
+  }
+  return step.selector;
+}
+
+// Validate login steps, throwing on invalid values
+function getLoginSteps(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('steps must be a non-empty array of { action, ... } objects');
+  }
+  if (value.length > MAX_STEPS) {
+    throw new Error(`steps may contain at most ${MAX_STEPS} entries`);
+  }
+
+  return value.map((step, index) => {
+    if (!step || !STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`Step ${index} needs an action: ${STEP_ACTIONS.join(', ')}`);
+    }
+    const result = {
+      action: step.action,
+      timeout: parseInteger(step.timeout, `step ${index} timeout`, DEFAULT_STEP_TIMEOUT, 100, 60000)
+    };
+
+    switch (step.action) {
+      case 'goto':
+        if (!step.url) throw new Error(`Step ${index} (goto) needs a url`);
+        result.url = String(step.url);
+        break;
+      case 'type':
+        result.selector = requireSelector(step, index);
+        if (step.text === undefined) throw new Error(`Step ${index} (type) needs text`);
+        result.text = String(step.text);
+        break;
+      case 'click':
+        result.selector = requireSelector(step, index);
+        // Set navigation when the click submits a form that loads a new page
+        result.navigation = Boolean(step.navigation);
+        break;
+      case 'wait':
+        if (step.selector) {
+          result.selector = String(step.selector);
+        } else if (step.navigation) {
+          result.navigation = true;
+        } else {
+          result.ms = parseInteger(step.ms, `step ${index} ms`, undefined, 0, 60000);
+          if (result.ms === undefined) {
+            throw new Error(`Step ${index} (wait) needs a selector, navigation or ms`);
+          }
+        }
+        break;
+    }
+    return result;
+  });
+}
+
+// Run login steps; checkUrl vets goto targets against the URL policy.
+// Errors are rethrown with the failing step in the message.
+async function runLoginSteps(page, steps, checkUrl) {
+  for (const [index, step] of steps.entries()) {
+    try {
+      switch (step.action) {
+        case 'goto':
+          await checkUrl(step.url);
+          await page.goto(step.url, { waitUntil: 'networkidle2', timeout: step.timeout });
+          break;
+        case 'type':
+          await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout });
+          await page.type(step.selector, step.text);
+          break;
+        case 'click':
+          await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout });
+          await Promise.all([
+            step.navigation ? page.waitForNavigation({ waitUntil: 'networkidle2', timeout: step.timeout }) : null,
+            page.click(step.selector)
+          ]);
+          break;
+        case 'wait':
+          if (step.selector) {
+            await page.waitForSelector(step.selector, { timeout: step.timeout });
+          } else if (step.navigation) {
+            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: step.timeout });
+          } else {
+            await new Promise(resolve => setTimeout(resolve, step.ms));
+          }
+          break;
+      }
+    } catch (error) {
+      error.step = index;
+      error.message = `Step ${index} (${step.action}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+// Cookies for every domain in the page's context, plus localStorage of the
+// origins loaded in the page's frames
+async function captureState(page) {
+  const client = await page.createCDPSession();
+  const { cookies } = await client.send('Network.getAllCookies');
+  await client.detach();
+
+  const storage = {};
+  for (const frame of page.frames()) {
+    const items = await frame.evaluate(() => {
+      try {
+        return location.origin === 'null' ? null : { origin: location.origin, items: { ...localStorage } };
+      } catch (error) {
+        return null;
+      }
+    }).catch(() => null);
+    if (items && !storage[items.origin]) {
+      storage[items.origin] = items.items;
+    }
+  }
+
+  return {
+    cookies: cookies.map(cookie => {
+      const result = {};
+      for (const field of COOKIE_FIELDS) {
+        if (cookie[field] !== undefined) result[field] = cookie[field];
+      }
+      // Session cookies come back with expires -1
+      if (cookie.session || result.expires < 0) delete result.expires;
+      return result;
+    }),
+    localStorage: storage
+  };
+}
+
+// Restore saved state into a page before it navigates
+async function applyState(page, state) {
+  if (state.cookies.length) {
+    await page.setCookie(...state.cookies);
+  }
+  if (Object.keys(state.localStorage).length) {
+    await page.evaluateOnNewDocument((storage) => {
+      const items = storage[location.origin];
+      if (!items) return;
+      try {
+        for (const [key, value] of Object.entries(items)) {
+          window.localStorage.setItem(key, value);
+        }
+      } catch (error) {
+        // Storage disabled for this document
+      }
+    }, state.localStorage);
+  }
+}
+
+class SessionStore {
+  constructor({ dir, secret, ttl = 86400000, maxTtl = 30 * 86400000 }) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.maxTtl = maxTtl;
+    this.enabled = Boolean(secret);
+    this.key = secret ? crypto.scryptSync(secret, 'screenshot-server-sessions', 32) : null;
+    this.sessions = new Map();
+
+    if (this.enabled) {
+      fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+      this.loadIndex();
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    this.sweepTimer.unref();
+  }
+
+  static fromEnv(defaultDir) {
+    const ttl = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 86400;
+    return new SessionStore({
+      dir: process.env.SESSION_DIR || defaultDir,
+      secret: process.env.SESSION_SECRET,
+      ttl: ttl * 1000
+    });
+  }
+
+  file(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  // Read the clear-text metadata of every stored session
+  loadIndex() {
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const { id, name, owner, createdAt, expiresAt, loginUrl } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        this.sessions.set(name, { id, name, owner, createdAt: new Date(createdAt), expiresAt: new Date(expiresAt), loginUrl });
+      } catch (error) {
+        console.error(`Ignoring unreadable session file ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Session lifetime in ms from a ttl parameter in seconds
+  getTtl(value) {
+    const seconds = parseInteger(value, 'ttl', undefined, 60, this.maxTtl / 1000);
+    return seconds === undefined ? this.ttl : seconds * 1000;
+  }
+
+  encrypt(name, state) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    // Binding the name stops a state file from being replayed under another name
+    cipher.setAAD(Buffer.from(name));
+    const data = Buffer.concat([cipher.update(JSON.stringify(state)), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  decrypt(name, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+  }
+
+  // Write to a temporary file first so readers never see a partial session
+  async write(session, encrypted) {
+    const file = this.file(session.name);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ ...session, ...encrypted }), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+    this.sessions.set(session.name, session);
+  }
+
+  // Create or replace a session. Each save gets a new id so results cached
+  // for an earlier login are never served for this one.
+  async save(name, { owner, loginUrl, ttl, state }) {
+    const now = new Date();
+    const session = { id: crypto.randomUUID(), name, owner, createdAt: now, expiresAt: new Date(now.getTime() + ttl), loginUrl };
+    await this.write(session, this.encrypt(name, state));
+    return session;
+  }
+
+  // Move a live session's expiry to ttl ms from now
+  async extend(name, ttl) {
+    const session = this.get(name);
+    if (!session) return null;
+    const { iv, tag, data } = JSON.parse(await fs.promises.readFile(this.file(name), 'utf8'));
+    const updated = { ...session, expiresAt: new Date(Date.now() + ttl) };
+    await this.write(updated, { iv, tag, data });
+    return updated;
+  }
+
+  // Metadata of a live session, or null when unknown or expired
+  get(name) {
+    const session = this.sessions.get(name);
+    if (!session) return null;
+    if (session.expiresAt.getTime() <= Date.now()) {
+      this.delete(name).catch(() => {});
+      return null;
+    }
+    return session;
+  }
+
+  // Decrypted cookies and localStorage of a live session
+  async load(name) {
+    if (!this.get(name)) return null;
+    const stored = JSON.parse(await fs.promises.readFile(this.file(name), 'utf8'));
+    return this.decrypt(name, stored);
+  }
+
+  async delete(name) {
+    const existed = this.sessions.delete(name);
+    await fs.promises.rm(this.file(name), { force: true });
+    return existed;
+  }
+
+  // Public view of a session, without its id or state
+  describe({ name, createdAt, expiresAt, loginUrl }) {
+    return { name, createdAt, expiresAt, loginUrl };
+  }
+
+  list(owner) {
+    return [...this.sessions.values()].filter(session => owner === undefined || session.owner === owner);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (session.expiresAt.getTime() <= now) {
+        this.delete(session.name).catch(() => {});
+      }
+    }
+  }
+
+  status() {
+    return { enabled: this.enabled, sessions: this.sessions.size, ttl: this.ttl };
+  }
+}
+
+module.exports = { SessionStore, parseSessionName, getLoginSteps, runLoginSteps, captureState, applyState };
@@ -0,0 +1,151 @@
+// Per-site extraction rules for pages where Readability's scoring picks the
+// wrong container or strips boxes that matter.
+//
+// Rules are loaded from SITE_RULES_DIR (default ./site-rules): .json, .yaml or
+// .yml files holding one rule or a list of rules, e.g.
+//
+//   name: example-news
+//   hosts: [example.com, "*.example.com", "*.example.co.uk"]
+//   content: [article .story-body]      # first selector that matches wins
+//   remove: [.related-links, .newsletter-signup]
+//   title: h1.headline
+//   byline: .author-name
+//   date: time[datetime]
+//   readability: { charThreshold: 300, classesToPreserve: [caption] }
+//
+// Host patterns mean what they mean in URL_ALLOWED_HOSTS and URL_DENIED_HOSTS:
+// "*.example.com" matches the subdomains of example.com only, so list
+// example.com as well to cover the bare domain. When several rules match, an
+// exact host beats a wildcard and longer wildcards beat shorter ones.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getReadabilityOptions } = require('./readability-options');
+const { hostPatternToRegExp } = require('./url-policy');
+
+const SITE_RULES_DIR = process.env.SITE_RULES_DIR || path.join(__dirname, 'site-rules');
+const RULE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+// Rule names are reported in the X-Site-Rule header
+const RULE_NAME_PATTERN = /^[\w.-]{1,64}$/;
+const RULE_READABILITY_OPTIONS = ['charThreshold', 'nbTopCandidates', 'classesToPreserve', 'keepClasses'];
+
+const rules = [];
+
+function toList(value, field) {
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`${field} must be a selector or a list of selectors`);
+  }
+  return list.map(item => item.trim());
+}
+
+function optionalSelector(value, field) {
+  if (value === undefined) return null;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${field} must be a selector`);
+  }
+  return value.trim();
+}
+
+function getRuleReadabilityOptions(value = {}) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('readability must be an object');
+  }
+  const unknown = Object.keys(value).find(key => !RULE_READABILITY_OPTIONS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown readability option "${unknown}". Use ${RULE_READABILITY_OPTIONS.join(', ')}`);
+  }
+  return getReadabilityOptions(value, RULE_READABILITY_OPTIONS);
+}
+
+// Validate one rule as read from a file, throwing on invalid values
+function validateRule(rule, defaultName) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('a rule must be an object');
+  }
+  const hosts = toList(rule.hosts, 'hosts').map(host => host.toLowerCase());
+  if (!hosts.length) {
+    throw new Error('hosts is required');
+  }
+  const invalid = hosts.find(host => !HOST_PATTERN.test(host));
+  if (invalid) {
+    throw new Error(`Invalid host pattern "${invalid}". Use example.com or *.example.com`);
+  }
+
+  const name = rule.name === undefined ? defaultName : String(rule.name);
+  if (!RULE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid rule name "${name}". Use 1-64 letters, digits, ".", "-" or "_"`);
+  }
+
+  return {
+    name,
+    hosts,
+    content: toList(rule.content, 'content'),
+    remove: toList(rule.remove, 'remove'),
+    title: optionalSelector(rule.title, 'title'),
+    byline: optionalSelector(rule.byline, 'byline'),
+    date: optionalSelector(rule.date, 'date'),
+    readability: getRuleReadabilityOptions(rule.readability)
+  };
+}
+
+// Register the rules of every rule file found in dir. Invalid files are
+// skipped with a warning so one bad rule does not take the others down.
+function loadSiteRules(dir = SITE_RULES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const loaded = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const extension = path.extname(file);
+    if (!RULE_EXTENSIONS.includes(extension)) continue;
+
+    const base = path.basename(file, extension);
+    try {
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      const parsed = extension === '.json' ? JSON.parse(text) : yaml.load(text);
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      const fileRules = list.map((rule, index) => validateRule(rule, list.length > 1 ? `${base}-${index}` : base));
+      rules.push(...fileRules);
+      loaded.push(...fileRules.map(rule => rule.name));
+    } catch (error) {
+      console.warn(`Skipping site rules file ${file}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+// How specifically a host pattern matches hostname; 0 when it does not
+function matchHost(pattern, hostname) {
+  if (pattern === hostname) return Infinity;
+  return hostPatternToRegExp(pattern).test(hostname) ? pattern.length : 0;
+}
+
+// The most specific rule for url, or null
+function findSiteRule(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const rule of rules) {
+    const score = Math.max(...rule.hosts.map(pattern => matchHost(pattern, hostname)));
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function listSiteRules() {
+  return rules.map(({ name, hosts }) => ({ name, hosts }));
+}
+
+module.exports = { loadSiteRules, findSiteRule, listSiteRules };
@@ -0,0 +1,225 @@
+// URL policy guarding against server-side request forgery.
+//
+// Every URL the browser loads (the target, each redirect hop and every
+// subresource) must use an allowed scheme, pass the host allow/deny lists and
+// resolve only to public addresses unless private networks are allowed.
+//
+// Request interception (guardPage) checks what the page requests, but Chrome
+// resolves hosts again itself, so a host answering with a public address here
+// and a private one to Chrome (DNS rebinding) would slip through, and
+// WebSocket connections are never intercepted at all. Chrome therefore
+// reaches the network only through PolicyProxy (policy-proxy.js), which
+// checks every connection's host and connects to the addresses it checked.
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_RANGES = [
+  ['unspecified', '0.0.0.0', 8, 'ipv4'],
+  ['private', '10.0.0.0', 8, 'ipv4'],
+  ['carrier-grade NAT', '100.64.0.0', 10, 'ipv4'],
+  ['loopback', '127.0.0.0', 8, 'ipv4'],
+  ['link-local', '169.254.0.0', 16, 'ipv4'],
+  ['private', '172.16.0.0', 12, 'ipv4'],
+  ['IETF protocol assignments', '192.0.0.0', 24, 'ipv4'],
+  ['private', '192.168.0.0', 16, 'ipv4'],
+  ['benchmarking', '198.18.0.0', 15, 'ipv4'],
+  ['multicast', '224.0.0.0', 4, 'ipv4'],
+  ['reserved', '240.0.0.0', 4, 'ipv4'],
+  ['unspecified', '::', 128, 'ipv6'],
+  ['loopback', '::1', 128, 'ipv6'],
+  ['unique-local', 'fc00::', 7, 'ipv6'],
+  ['link-local', 'fe80::', 10, 'ipv6'],
+  ['multicast', 'ff00::', 8, 'ipv6']
+].map(([name, address, prefix, type]) => {
+  const list = new net.BlockList();
+  list.addSubnet(address, prefix, type);
+  return { name, cidr: `${address}/${prefix}`, type, list };
+});
+
+// Schemes subresources may always use; they never reach the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+const DNS_CACHE_TTL = 60000;
+// Chrome resolves every subresource host through the proxy; keep the cache bounded
+const DNS_CACHE_MAX_ENTRIES = 1000;
+
+class PolicyError extends Error {
+  constructor(rule, message) {
+    super(message);
+    this.name = 'PolicyError';
+    this.rule = rule;
+  }
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// "*.example.com" matches subdomains only, "*" matches every host
+function hostPatternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// IPv4 addresses embedded in IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::) IPv6 addresses
+function embeddedIPv4(address) {
+  const match = address.match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (!match) return null;
+  if (match[1]) return match[1];
+
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function findBlockedRange(address) {
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  if (type === 'ipv6') {
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return findBlockedRange(ipv4);
+  }
+  return BLOCKED_RANGES.find(range => range.type === type && range.list.check(address, type)) || null;
+}
+
+class UrlPolicy {
+  constructor({ allowedSchemes, allowedHosts, deniedHosts, allowPrivateNetworks = false }) {
+    this.allowedSchemes = allowedSchemes.map(scheme => scheme.replace(/:?$/, ':'));
+    this.allowedHosts = allowedHosts.map(pattern => ({ pattern, regex: hostPatternToRegExp(pattern) }));
+    this.deniedHosts = deniedHosts.map(pattern => ({ pattern, regex: hostPatternToRegExp(pattern) }));
+    this.allowPrivateNetworks = allowPrivateNetworks;
+    this.dnsCache = new Map();
+    this.trackers = new WeakMap();
+  }
+
+  static fromEnv(env = process.env) {
+    return new UrlPolicy({
+      allowedSchemes: parseList(env.URL_ALLOWED_SCHEMES || 'http,https'),
+      allowedHosts: parseList(env.URL_ALLOWED_HOSTS),
+      deniedHosts: parseList(env.URL_DENIED_HOSTS),
+      allowPrivateNetworks: env.URL_ALLOW_PRIVATE_NETWORKS === 'true'
+    });
+  }
+
+  async resolve(hostname) {
+    const cached = this.dnsCache.get(hostname);
+    if (cached) {
+      if (cached.expiresAt > Date.now()) return cached.addresses;
+      this.dnsCache.delete(hostname);
+    }
+
+    let records;
+    try {
+      records = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw new PolicyError('dns', `Could not resolve host "${hostname}": ${error.code || error.message}`);
+    }
+
+    const addresses = records.map(record => record.address);
+    this.dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL });
+
+    // Entries are in insertion order, so the oldest go first
+    const now = Date.now();
+    for (const [name, entry] of this.dnsCache) {
+      if (this.dnsCache.size <= DNS_CACHE_MAX_ENTRIES && entry.expiresAt > now) break;
+      this.dnsCache.delete(name);
+    }
+    return addresses;
+  }
+
+  // Resolve if the URL may be loaded, with the addresses it may be reached at
+  // as checkHost() does, otherwise reject with a PolicyError naming the rule
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new PolicyError('invalid-url', `Invalid URL "${url}"`);
+    }
+
+    if (!this.allowedSchemes.includes(parsed.protocol)) {
+      throw new PolicyError('scheme', `Scheme "${parsed.protocol}" is not allowed. Allowed: ${this.allowedSchemes.join(', ')}`);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!hostname) {
+      throw new PolicyError('invalid-url', `URL "${url}" has no host`);
+    }
+
+    return this.checkHost(hostname);
+  }
+
+  // Resolve with the addresses hostname may be reached at, or null when private
+  // networks are allowed and any address will do. Rejects with a PolicyError
+  // when the host lists or the address ranges block it.
+  async checkHost(hostname) {
+    const denied = this.deniedHosts.find(({ regex }) => regex.test(hostname));
+    if (denied) {
+      throw new PolicyError('host-denied', `Host "${hostname}" matches deny-list entry "${denied.pattern}"`);
+    }
+
+    if (this.allowedHosts.length && !this.allowedHosts.some(({ regex }) => regex.test(hostname))) {
+      throw new PolicyError('host-not-allowed', `Host "${hostname}" is not in the allow-list`);
+    }
+
+    if (this.allowPrivateNetworks) return null;
+
+    const isAddress = net.isIP(hostname) !== 0;
+    const addresses = isAddress ? [hostname] : await this.resolve(hostname);
+    for (const address of addresses) {
+      const range = findBlockedRange(address);
+      if (range) {
+        const subject = isAddress ? `Address ${address} is` : `Host "${hostname}" resolves to ${address}, which is`;
+        throw new PolicyError('private-address', `${subject} in the ${range.name} range ${range.cidr}`);
+      }
+    }
+    return addresses;
+  }
+
+  // Enforce the policy on every request the page makes, including redirects.
+  // Returns a tracker whose navigationError is set if the main document was
+  // blocked and whose navigationUrl is the last main document URL requested.
+  // Guarding a page again, before its next navigation, resets both.
+  // extraHeaders(url), if given, returns headers to add to an allowed request.
+  async guardPage(page, { extraHeaders = null } = {}) {
+    const existing = this.trackers.get(page);
+    if (existing) {
+      existing.navigationError = null;
+      existing.navigationUrl = null;
+      return existing;
+    }
+
+    const tracker = { navigationError: null, navigationUrl: null, blocked: [] };
+    this.trackers.set(page, tracker);
+
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+
+      const url = request.url();
+      if (LOCAL_SCHEMES.some(scheme => url.startsWith(scheme))) {
+        return request.continue().catch(() => {});
+      }
+
+      const mainDocument = request.isNavigationRequest() && request.frame() === page.mainFrame();
+      if (mainDocument) {
+        tracker.navigationUrl = url;
+      }
+      try {
+        await this.check(url);
+      } catch (error) {
+        tracker.blocked.push({ url, rule: error.rule, message: error.message });
+        if (mainDocument) {
+          tracker.navigationError = error;
+        }
+        return request.abort('accessdenied').catch(() => {});
+      }
+      const headers = extraHeaders && extraHeaders(url);
+      request.continue(headers ? { headers: { ...request.headers(), ...headers } } : undefined).catch(() => {});
+    });
+
+    return tracker;
+  }
+}
+
+module.exports = { UrlPolicy, PolicyError, findBlockedRange, hostPatternToRegExp };
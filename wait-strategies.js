@@ -0,0 +1,176 @@
+// Wait strategies used between navigation and capture, replacing fixed sleeps.
+//
+// All waits after navigation share one maxWait budget. Soft waits (network
+// idle, fonts, images) stop quietly when the budget runs out; waits the caller
+// asked for explicitly (selector, predicate) fail with a WaitTimeoutError.
+// Every phase is recorded in a Timings object for the response.
+
+const { parseBoolean, parseChoice, parseInteger } = require('./params');
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+class WaitTimeoutError extends Error {
+  constructor(phase, message) {
+    super(message);
+    this.name = 'WaitTimeoutError';
+    this.phase = phase;
+  }
+}
+
+class Timings {
+  constructor() {
+    this.started = Date.now();
+    this.phases = [];
+  }
+
+  async measure(name, fn) {
+    const start = Date.now();
+    const phase = { name, duration: 0 };
+    this.phases.push(phase);
+    try {
+      return await fn();
+    } finally {
+      phase.duration = Date.now() - start;
+    }
+  }
+
+  // Mark the most recent phase as having hit its timeout
+  timedOut(name) {
+    const phase = this.phases.filter(p => p.name === name).pop();
+    if (phase) phase.timedOut = true;
+  }
+
+  // Server-Timing header value, e.g. "navigation;dur=812, fonts;dur=3"
+  header() {
+    return this.phases
+      .map(({ name, duration, timedOut }) => `${name};dur=${duration}${timedOut ? ';desc="timed out"' : ''}`)
+      .join(', ');
+  }
+
+  toJSON() {
+    return { total: Date.now() - this.started, phases: this.phases };
+  }
+}
+
+// Validate wait parameters, throwing on invalid values
+function getWaitOptions(params) {
+  const predicate = params.waitForFunction ? String(params.waitForFunction) : undefined;
+  if (predicate && predicate.length > 10000) {
+    throw new Error('waitForFunction must be at most 10000 characters');
+  }
+
+  return {
+    waitUntil: parseChoice(params.waitUntil, 'waitUntil', 'networkidle2', WAIT_UNTIL),
+    navigationTimeout: parseInteger(params.navigationTimeout, 'navigationTimeout', 60000, 1000, 120000),
+    selector: params.waitForSelector ? String(params.waitForSelector) : undefined,
+    networkIdle: parseInteger(params.networkIdle, 'networkIdle', 500, 0, 10000),
+    predicate,
+    fonts: parseBoolean(params.waitForFonts, true),
+    images: parseBoolean(params.waitForImages, true),
+    delay: parseInteger(params.delay, 'delay', 0, 0, 10000),
+    maxWait: parseInteger(params.maxWait, 'maxWait', 10000, 0, 60000)
+  };
+}
+
+function isTimeout(error) {
+  return error.name === 'TimeoutError';
+}
+
+async function waitForFonts(page, timeout) {
+  await page.evaluate((timeout) => Promise.race([
+    document.fonts.ready,
+    new Promise(resolve => setTimeout(resolve, timeout))
+  ]), timeout);
+}
+
+// Resolves once every <img> has loaded (or failed) and been decoded
+async function waitForImages(page, timeout) {
+  return page.evaluate((timeout) => {
+    const images = Array.from(document.images);
+    for (const img of images) {
+      img.loading = 'eager';
+    }
+
+    const loaded = images.map((img) => {
+      const ready = img.complete ? Promise.resolve() : new Promise((resolve) => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      });
+      return ready.then(() => img.naturalWidth && img.decode()).catch(() => {});
+    });
+
+    let timer;
+    return Promise.race([
+      Promise.all(loaded).then(() => true),
+      new Promise((resolve) => { timer = setTimeout(() => resolve(false), timeout); })
+    ]).finally(() => clearTimeout(timer));
+  }, timeout);
+}
+
+function remaining(deadline) {
+  return Math.max(0, deadline - Date.now());
+}
+
+// Waits after the target page has navigated, before Readability or capture
+async function waitForPage(page, options, timings) {
+  const deadline = Date.now() + options.maxWait;
+
+  if (options.selector) {
+    await timings.measure('selector', async () => {
+      try {
+        await page.waitForSelector(options.selector, { timeout: remaining(deadline) || 1 });
+      } catch (error) {
+        if (!isTimeout(error)) throw error;
+        timings.timedOut('selector');
+        throw new WaitTimeoutError('selector', `Selector "${options.selector}" did not appear within ${options.maxWait}ms`);
+      }
+    });
+  }
+
+  if (options.networkIdle > 0 && remaining(deadline) > 0) {
+    await timings.measure('network-idle', async () => {
+      try {
+        await page.waitForNetworkIdle({ idleTime: options.networkIdle, timeout: remaining(deadline) });
+      } catch (error) {
+        if (!isTimeout(error)) throw error;
+        timings.timedOut('network-idle');
+      }
+    });
+  }
+
+  if (options.predicate) {
+    await timings.measure('predicate', async () => {
+      try {
+        await page.waitForFunction(options.predicate, { timeout: remaining(deadline) || 1, polling: 100 });
+      } catch (error) {
+        if (!isTimeout(error)) throw error;
+        timings.timedOut('predicate');
+        throw new WaitTimeoutError('predicate', `waitForFunction did not return true within ${options.maxWait}ms`);
+      }
+    });
+  }
+
+  if (options.fonts && remaining(deadline) > 0) {
+    await timings.measure('fonts', () => waitForFonts(page, remaining(deadline)));
+  }
+
+  if (options.delay > 0) {
+    await timings.measure('delay', () => new Promise(resolve => setTimeout(resolve, options.delay)));
+  }
+}
+
+// Waits after the reader view replaced the page, before capture
+async function waitForReaderView(page, options, timings) {
+  const deadline = Date.now() + options.maxWait;
+
+  if (options.images) {
+    const complete = await timings.measure('images', () => waitForImages(page, remaining(deadline)));
+    if (!complete) timings.timedOut('images');
+  }
+
+  if (options.fonts && remaining(deadline) > 0) {
+    await timings.measure('reader-fonts', () => waitForFonts(page, remaining(deadline)));
+  }
+}
+
+module.exports = { Timings, WaitTimeoutError, getWaitOptions, waitForPage, waitForReaderView };